@@ -0,0 +1,49 @@
+// Short-lived in-memory cache for provider responses
+//
+// Lives only as long as the serverless instance stays warm, so it smooths
+// bursts of dashboard refreshes rather than acting as a store. Concurrent
+// requests for the same key share one provider call; failures aren't cached.
+// Freshness is the reader's call: each lookup passes the oldest value it will
+// accept, so a fast poller and a slow one can share entries.
+
+const MAX_ENTRIES = 500;
+
+const entries = new Map();
+
+const prune = () => {
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    if (entry.loadedAt + entry.ttlMs <= now) entries.delete(key);
+  }
+  // Still full: drop the oldest insertions
+  while (entries.size >= MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+/**
+ * Return the cached value for `key`, or run `load` and cache its result
+ * @param {string} key
+ * @param {number} ttlMs - Oldest cached value to accept, and how long a value
+ *   this call loads is kept
+ * @param {Function} load - Async loader; a rejection is passed through uncached
+ * @returns {Promise<{ value: *, hit: boolean }>}
+ */
+export async function cached(key, ttlMs, load) {
+  const entry = entries.get(key);
+  if (entry && Date.now() - entry.loadedAt < ttlMs) {
+    return { value: await entry.promise, hit: true };
+  }
+
+  if (entries.size >= MAX_ENTRIES) prune();
+
+  const promise = load();
+  entries.set(key, { promise, loadedAt: Date.now(), ttlMs });
+
+  try {
+    return { value: await promise, hit: false };
+  } catch (error) {
+    if (entries.get(key)?.promise === promise) entries.delete(key);
+    throw error;
+  }
+}
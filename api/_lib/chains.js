@@ -0,0 +1,61 @@
+// Tradier option chains shared by /api/tradier and /api/stream, normalized
+// to the dashboard's contract shape and cached briefly per symbol+expiration
+
+import { tradierFetch } from './providers.js';
+import { cached } from './cache.js';
+
+// Chains move with the underlying; the expiration list changes daily at most
+export const CHAIN_TTL_MS = 30 * 1000;
+export const EXPIRATIONS_TTL_MS = 10 * 60 * 1000;
+
+// Tradier returns a bare object instead of an array when there is only one
+const asArray = (value) => (Array.isArray(value) ? value : [value]);
+
+export const loadExpirations = async (symbol) => {
+  const expData = await tradierFetch(`/markets/options/expirations?symbol=${encodeURIComponent(symbol)}`);
+  if (!expData?.expirations?.date) throw new Error('No expirations returned');
+  return asArray(expData.expirations.date);
+};
+
+export const loadChain = async (symbol, expiration) => {
+  const chainData = await tradierFetch(
+    `/markets/options/chains?symbol=${encodeURIComponent(symbol)}&expiration=${encodeURIComponent(expiration)}&greeks=true`
+  );
+  if (!chainData?.options?.option) throw new Error('No options data returned');
+
+  // Transform Tradier format to our format. IV and Greeks Tradier doesn't
+  // send (or sends as 0) stay null; the client solves them from the quotes
+  return asArray(chainData.options.option).map(opt => ({
+    expiration: opt.expiration_date,
+    strike: opt.strike,
+    type: opt.option_type.toUpperCase(), // 'call' -> 'CALL'
+    iv: opt.greeks?.mid_iv || null,
+    oi: opt.open_interest || 0,
+    volume: opt.volume || 0,
+    bid: opt.bid || 0,
+    ask: opt.ask || 0,
+    delta: opt.greeks?.delta ?? null,
+    gamma: opt.greeks?.gamma ?? null,
+    vega: opt.greeks?.vega ?? null,
+    theta: opt.greeks?.theta ?? null,
+    lastPrice: opt.last || 0,
+    bidSize: opt.bidsize || 0,
+    askSize: opt.asksize || 0
+  }));
+};
+
+/**
+ * Every listed expiration for a root, cached for EXPIRATIONS_TTL_MS
+ * @returns {Promise<{ value: string[], hit: boolean }>}
+ */
+export const cachedExpirations = (symbol) =>
+  cached(`expirations:${symbol}`, EXPIRATIONS_TTL_MS, () => loadExpirations(symbol));
+
+/**
+ * One expiration's normalized chain, cached for CHAIN_TTL_MS
+ * @param {number} [maxAgeMs=CHAIN_TTL_MS] - Oldest cached chain to accept;
+ *   /api/stream passes its poll interval so every poll sees a fresh chain
+ * @returns {Promise<{ value: Array, hit: boolean }>}
+ */
+export const cachedChain = (symbol, expiration, maxAgeMs = CHAIN_TTL_MS) =>
+  cached(`chain:${symbol}:${expiration}`, maxAgeMs, () => loadChain(symbol, expiration));
@@ -0,0 +1,194 @@
+// Market data providers shared by the API routes
+//
+// Configuration (environment variables):
+//   POLYGON_API_KEY            Polygon.io key; Polygon is skipped when unset
+//   TRADIER_API_KEY            Tradier key; Tradier is skipped when unset
+//   TRADIER_BASE_URL           Defaults to the sandbox, https://sandbox.tradier.com/v1
+//   QUOTE_PROVIDERS            Default priority for equities, e.g. "polygon,yahoo"
+//   QUOTE_PROVIDERS_INDEX      Default priority for indices (^VIX, ^SKEW, ...)
+//   QUOTE_PROVIDERS_<SYMBOL>   Per-symbol override, symbol without '^' (QUOTE_PROVIDERS_VIX)
+//
+// To add a vendor, add an entry to PROVIDERS with `isConfigured` and
+// `getQuote`, then name it in one of the priority lists. `getQuote` resolves
+// to { value, asOf, previousClose }, previousClose being the prior regular
+// session's close (null when the vendor doesn't say).
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+const DEFAULT_EQUITY_PRIORITY = ['polygon', 'yahoo'];
+const DEFAULT_INDEX_PRIORITY = ['polygon', 'cboe', 'yahoo'];
+
+export const STALE_AFTER_MS = 20 * 60 * 1000; // Delayed feeds run ~15 min behind
+
+export const isIndex = (symbol) => symbol.startsWith('^');
+
+// CBOE delayed-quote timestamps are New York wall-clock time with no offset
+const parseEasternTime = (str) => {
+  if (!str) return null;
+  const asUtc = new Date(`${str.replace(' ', 'T')}Z`);
+  if (isNaN(asUtc)) return null;
+  const utcWall = new Date(asUtc.toLocaleString('en-US', { timeZone: 'UTC' }));
+  const etWall = new Date(asUtc.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  return new Date(asUtc.getTime() + (utcWall - etWall));
+};
+
+export const tradierConfig = () => ({
+  apiKey: process.env.TRADIER_API_KEY || null,
+  baseUrl: process.env.TRADIER_BASE_URL || 'https://sandbox.tradier.com/v1'
+});
+
+/**
+ * GET a Tradier endpoint with the configured key
+ */
+export async function tradierFetch(path) {
+  const { apiKey, baseUrl } = tradierConfig();
+  if (!apiKey) throw new Error('TRADIER_API_KEY not set');
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Accept': 'application/json'
+    }
+  });
+  return response.json();
+}
+
+export const PROVIDERS = {
+  polygon: {
+    isConfigured: () => Boolean(process.env.POLYGON_API_KEY),
+    async getQuote(symbol) {
+      const ticker = isIndex(symbol) ? `I:${symbol.slice(1)}` : symbol;
+      const response = await fetch(
+        `https://api.polygon.io/v2/aggs/ticker/${encodeURIComponent(ticker)}/prev?adjusted=true&apiKey=${process.env.POLYGON_API_KEY}`
+      );
+      const data = await response.json();
+      const bar = data?.results?.[0];
+
+      if (!bar?.c) throw new Error('No Polygon result');
+      // /prev is the prior session's aggregate, so it is never a live print,
+      // and the close before it isn't in the response
+      return { value: bar.c, asOf: new Date(bar.t), previousClose: null };
+    }
+  },
+
+  tradier: {
+    isConfigured: () => Boolean(tradierConfig().apiKey),
+    async getQuote(symbol) {
+      const ticker = isIndex(symbol) ? symbol.slice(1) : symbol;
+      const data = await tradierFetch(`/markets/quotes?symbols=${encodeURIComponent(ticker)}`);
+      const quote = data?.quotes?.quote;
+
+      if (!quote?.last) throw new Error('No Tradier result');
+      return {
+        value: quote.last,
+        asOf: quote.trade_date ? new Date(quote.trade_date) : null,
+        previousClose: quote.prevclose || null
+      };
+    }
+  },
+
+  yahoo: {
+    isConfigured: () => true,
+    async getQuote(symbol) {
+      const response = await fetch(
+        `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?interval=1d&range=1d`,
+        { headers: { 'User-Agent': USER_AGENT } }
+      );
+      const data = await response.json();
+      const meta = data?.chart?.result?.[0]?.meta;
+
+      if (!meta?.regularMarketPrice) throw new Error('No Yahoo result');
+      return {
+        value: meta.regularMarketPrice,
+        asOf: meta.regularMarketTime ? new Date(meta.regularMarketTime * 1000) : null,
+        previousClose: meta.regularMarketPreviousClose || meta.previousClose || meta.chartPreviousClose || null
+      };
+    }
+  },
+
+  cboe: {
+    isConfigured: () => true,
+    async getQuote(symbol) {
+      if (!isIndex(symbol)) throw new Error('CBOE only serves index quotes');
+
+      const response = await fetch(
+        `https://cdn.cboe.com/api/global/delayed_quotes/quotes/_${symbol.slice(1)}.json`,
+        { headers: { 'User-Agent': USER_AGENT } }
+      );
+      const data = await response.json();
+      const value = parseFloat(data?.data?.current_price || data?.data?.close);
+
+      if (!value) throw new Error('No CBOE result');
+      return {
+        value,
+        asOf: parseEasternTime(data.data.last_trade_time || data.timestamp),
+        previousClose: parseFloat(data.data.prev_day_close) || null
+      };
+    }
+  }
+};
+
+const parseList = (value) => value
+  ? value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+  : null;
+
+/**
+ * Provider names to try for a symbol, highest priority first
+ */
+export const providerPriority = (symbol) => {
+  const key = symbol.replace(/^\^/, '').replace(/[^A-Z0-9]/gi, '_').toUpperCase();
+
+  return parseList(process.env[`QUOTE_PROVIDERS_${key}`])
+    || (isIndex(symbol)
+      ? parseList(process.env.QUOTE_PROVIDERS_INDEX) || DEFAULT_INDEX_PRIORITY
+      : parseList(process.env.QUOTE_PROVIDERS) || DEFAULT_EQUITY_PRIORITY);
+};
+
+/**
+ * Quote a symbol from the first provider in its priority list that answers
+ *
+ * Always resolves; a symbol no provider could supply comes back as
+ * `{ value: null, available: false, error }`.
+ */
+export async function fetchQuote(symbol) {
+  const errors = [];
+
+  for (const name of providerPriority(symbol)) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      errors.push(`${name}: unknown provider`);
+      continue;
+    }
+    if (!provider.isConfigured()) {
+      errors.push(`${name}: not configured`);
+      continue;
+    }
+
+    try {
+      const quote = await provider.getQuote(symbol);
+      const age = quote.asOf ? Date.now() - quote.asOf.getTime() : Infinity;
+      return {
+        symbol,
+        value: quote.value,
+        available: true,
+        source: name,
+        asOf: quote.asOf ? quote.asOf.toISOString() : null,
+        previousClose: quote.previousClose ?? null,
+        stale: age > STALE_AFTER_MS
+      };
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  return {
+    symbol,
+    value: null,
+    available: false,
+    source: null,
+    asOf: null,
+    previousClose: null,
+    stale: true,
+    error: errors.join('; ')
+  };
+}
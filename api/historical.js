@@ -1,3 +1,26 @@
+// GET /api/historical?ticker=SPY&range=6mo&interval=1d
+// range:    1d 5d 1mo 3mo 6mo 1y 2y 5y 10y ytd max (default 1mo)
+// interval: 1m 5m 15m 1h daily(1d) weekly(1wk) (default 1d)
+
+const INTERVALS = {
+  '1m': '1m',
+  '5m': '5m',
+  '15m': '15m',
+  '1h': '60m',
+  '60m': '60m',
+  '1d': '1d',
+  '1wk': '1wk',
+  '1w': '1wk'
+};
+
+const RANGE_DAYS = {
+  '1d': 1, '5d': 5, '1mo': 31, '3mo': 92, '6mo': 183,
+  '1y': 366, '2y': 731, '5y': 1827, '10y': 3653, 'ytd': 366, 'max': Infinity
+};
+
+// Yahoo only keeps intraday bars this far back
+const MAX_INTRADAY_DAYS = { '1m': 7, '5m': 60, '15m': 60, '60m': 730 };
+
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -6,37 +29,54 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
   
-  const { ticker } = req.query;
+  const { ticker, range = '1mo', interval = '1d' } = req.query;
   
   if (!ticker) {
     return res.status(400).json({ error: 'Ticker required' });
   }
   
+  const yahooInterval = INTERVALS[interval];
+  if (!yahooInterval) {
+    return res.status(400).json({ error: `Unsupported interval: ${interval}` });
+  }
+  if (!RANGE_DAYS[range]) {
+    return res.status(400).json({ error: `Unsupported range: ${range}` });
+  }
+  if (RANGE_DAYS[range] > (MAX_INTRADAY_DAYS[yahooInterval] ?? Infinity)) {
+    return res.status(400).json({
+      error: `Range ${range} too long for ${interval} bars (max ${MAX_INTRADAY_DAYS[yahooInterval]} days)`
+    });
+  }
+  
   try {
-    // Get last 30 days of data
-    const endDate = Math.floor(Date.now() / 1000);
-    const startDate = endDate - (30 * 24 * 60 * 60);
-    
     const response = await fetch(
-      `https://query1.finance.yahoo.com/v8/finance/chart/${ticker}?interval=1d&period1=${startDate}&period2=${endDate}`
+      `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}?interval=${yahooInterval}&range=${range}`
     );
     const data = await response.json();
     
     if (data?.chart?.result?.[0]) {
       const result = data.chart.result[0];
-      const timestamps = result.timestamp;
-      const closes = result.indicators.quote[0].close;
+      const timestamps = result.timestamp || [];
+      const quote = result.indicators.quote[0];
+      const adjcloses = result.indicators.adjclose?.[0]?.adjclose;
       
-      // Filter out null values and combine
+      // Filter out null bars (halts, holidays) and combine OHLCV
       const historicalData = timestamps
         .map((ts, i) => ({
           timestamp: ts,
-          close: closes[i]
+          open: quote.open[i],
+          high: quote.high[i],
+          low: quote.low[i],
+          close: quote.close[i],
+          volume: quote.volume[i],
+          adjclose: adjcloses ? adjcloses[i] : quote.close[i]
         }))
-        .filter(d => d.close !== null);
+        .filter(d => d.close !== null && d.close !== undefined);
       
       return res.status(200).json({
         ticker,
+        range,
+        interval,
         data: historicalData,
         source: 'yahoo',
         timestamp: new Date().toISOString()
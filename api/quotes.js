@@ -0,0 +1,40 @@
+// Aggregated quote endpoint
+// GET /api/quotes?symbols=SPY,^VIX,^SKEW
+// Fetches every symbol in parallel and reports where each value came from,
+// when it was last traded and whether it is stale. A symbol no source could
+// supply comes back as `{ value: null, available: false, error }`.
+
+import { fetchQuote } from './_lib/providers.js';
+
+const DEFAULT_SYMBOLS = ['SPY', '^VIX', '^SKEW'];
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const symbols = req.query.symbols
+    ? req.query.symbols.split(',').map(s => s.trim().toUpperCase()).filter(Boolean)
+    : DEFAULT_SYMBOLS;
+
+  try {
+    const results = await Promise.all(symbols.map(fetchQuote));
+
+    const quotes = {};
+    results.forEach(q => {
+      quotes[q.symbol] = q;
+      if (q.error) console.error(`Quote ${q.symbol} failed:`, q.error);
+    });
+
+    return res.status(200).json({
+      quotes,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Quotes API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
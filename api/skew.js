@@ -1,3 +1,5 @@
+import { fetchQuote } from './_lib/providers.js';
+
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -7,39 +9,30 @@ export default async function handler(req, res) {
   }
   
   try {
-    // Try CBOE direct API
-    const skewRes = await fetch(
-      'https://cdn.cboe.com/api/global/delayed_quotes/options/_SKEW.json',
-      {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      }
-    );
-    const skewData = await skewRes.json();
+    const quote = await fetchQuote('^SKEW');
     
-    if (skewData?.data) {
-      const value = parseFloat(skewData.data.current_price || skewData.data.close);
+    if (quote.available) {
       return res.status(200).json({
-        value: value,
-        source: 'cboe',
+        value: quote.value,
+        available: true,
+        source: quote.source,
+        asOf: quote.asOf,
+        stale: quote.stale,
         timestamp: new Date().toISOString()
       });
     }
     
-    throw new Error('CBOE SKEW data not available');
+    throw new Error(`SKEW data not available (${quote.error})`);
   } catch (error) {
     console.error('SKEW API Error:', error);
     
-    // Return a calculated estimate based on typical SPX skew patterns
-    // SKEW typically ranges 120-150, median around 135
-    const estimatedSkew = 135 + Math.random() * 5; // 135-140 range
-    
-    return res.status(200).json({ 
-      value: estimatedSkew,
-      source: 'estimated',
-      note: 'CBOE API unavailable, using typical range estimate',
+    // No stand-in value: callers must treat SKEW as missing, not estimate it
+    return res.status(503).json({ 
+      value: null,
+      available: false,
+      source: null,
+      error: error.message,
       timestamp: new Date().toISOString()
     });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,125 @@
+// Live quote and option updates as server-sent events
+// GET /api/stream?symbols=SPY,^VIX,^SKEW&options=SPY&expirations=2026-10-19,2026-10-20
+//
+// The vendors only offer REST, so this polls them server-side and pushes
+// what changed:
+//   event: quote    one fetchQuote result whose value/asOf moved
+//   event: options  { symbol, expiration, contracts } - contracts whose
+//                   price, size, OI or Greeks changed since the last push;
+//                   chains are re-read every poll (the shared chain cache
+//                   only serves ones loaded within the interval), so this
+//                   is as fresh as the quotes
+//   event: end      the stream hit its time limit; EventSource reconnects
+//                   after `retry` and resumes with a full first push
+//
+// Optional: interval (ms between polls, 2000-60000, default 5000)
+
+import { fetchQuote } from './_lib/providers.js';
+import { cachedChain } from './_lib/chains.js';
+
+const DEFAULT_INTERVAL_MS = 5000;
+const MIN_INTERVAL_MS = 2000;
+const MAX_INTERVAL_MS = 60000;
+const MAX_SYMBOLS = 10;
+const MAX_EXPIRATIONS = 4;
+// Stay inside the serverless function time limit; the client reconnects
+const MAX_STREAM_MS = 55 * 1000;
+const RECONNECT_MS = 3000;
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(s => s.trim().toUpperCase())
+  .filter(Boolean);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const quoteSignature = (q) => `${q.value}|${q.asOf}|${q.available}`;
+
+const contractKey = (c) => `${c.expiration}|${c.strike}|${c.type}`;
+
+const contractSignature = (c) =>
+  [c.bid, c.ask, c.lastPrice, c.volume, c.oi, c.iv, c.delta, c.gamma].join('|');
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const symbols = parseList(req.query.symbols).slice(0, MAX_SYMBOLS);
+  const optionsRoot = req.query.options?.toUpperCase() || null;
+  const expirations = parseList(req.query.expirations);
+  const interval = Math.min(
+    MAX_INTERVAL_MS,
+    Math.max(MIN_INTERVAL_MS, Number(req.query.interval) || DEFAULT_INTERVAL_MS)
+  );
+
+  if (symbols.length === 0 && !optionsRoot) {
+    return res.status(400).json({ error: 'symbols or options required' });
+  }
+  if (expirations.length > MAX_EXPIRATIONS) {
+    return res.status(400).json({ error: `At most ${MAX_EXPIRATIONS} expirations` });
+  }
+  if (expirations.some(e => !/^\d{4}-\d{2}-\d{2}$/.test(e))) {
+    return res.status(400).json({ error: 'Expirations must be YYYY-MM-DD' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  const lastQuotes = {};
+  const lastContracts = {};
+  const started = Date.now();
+
+  try {
+    while (!closed && Date.now() - started < MAX_STREAM_MS) {
+      const quotes = await Promise.all(symbols.map(fetchQuote));
+      quotes.forEach(q => {
+        const signature = quoteSignature(q);
+        if (lastQuotes[q.symbol] === signature) return;
+        lastQuotes[q.symbol] = signature;
+        send('quote', q);
+      });
+
+      for (const expiration of optionsRoot ? expirations : []) {
+        try {
+          const { value: contracts } = await cachedChain(optionsRoot, expiration, interval);
+          const changed = contracts.filter(c => {
+            const signature = contractSignature(c);
+            if (lastContracts[contractKey(c)] === signature) return false;
+            lastContracts[contractKey(c)] = signature;
+            return true;
+          });
+          if (changed.length > 0) {
+            send('options', { symbol: optionsRoot, expiration, contracts: changed });
+          }
+        } catch (error) {
+          console.error(`Stream chain ${optionsRoot} ${expiration} failed:`, error.message);
+        }
+      }
+
+      // Comment line keeps proxies from timing out an idle connection
+      res.write(`: ${new Date().toISOString()}\n\n`);
+      await sleep(interval);
+    }
+
+    if (!closed) send('end', { reason: 'max duration', timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Stream API Error:', error);
+    if (!closed) send('end', { reason: error.message, timestamp: new Date().toISOString() });
+  }
+
+  res.end();
+}
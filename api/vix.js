@@ -1,3 +1,5 @@
+import { fetchQuote } from './_lib/providers.js';
+
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -7,42 +9,27 @@ export default async function handler(req, res) {
   }
   
   try {
-    // Try Polygon first
-    const polygonRes = await fetch(
-      `https://api.polygon.io/v2/aggs/ticker/I:VIX/prev?adjusted=true&apiKey=hbSH0tqz8wB_GqVicAoBrf_pfqDggwB3`
-    );
-    const polygonData = await polygonRes.json();
+    // Provider order comes from QUOTE_PROVIDERS* env config (see _lib/providers.js)
+    const quote = await fetchQuote('^VIX');
     
-    if (polygonData?.results?.[0]?.c) {
+    if (quote.available) {
       return res.status(200).json({
-        price: polygonData.results[0].c,
-        source: 'polygon',
+        price: quote.value,
+        available: true,
+        source: quote.source,
+        asOf: quote.asOf,
+        stale: quote.stale,
         timestamp: new Date().toISOString()
       });
     }
     
-    // Fallback to Yahoo Finance
-    const yahooRes = await fetch(
-      'https://query1.finance.yahoo.com/v8/finance/chart/^VIX?interval=1d&range=1d'
-    );
-    const yahooData = await yahooRes.json();
-    
-    if (yahooData?.chart?.result?.[0]?.meta) {
-      const price = yahooData.chart.result[0].meta.regularMarketPrice || 
-                   yahooData.chart.result[0].meta.previousClose;
-      return res.status(200).json({
-        price: price,
-        source: 'yahoo',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    throw new Error('All VIX sources failed');
+    throw new Error(`All VIX sources failed (${quote.error})`);
   } catch (error) {
     console.error('VIX API Error:', error);
-    return res.status(500).json({ 
-      error: error.message,
-      fallback: 14.23
+    return res.status(503).json({ 
+      price: null,
+      available: false,
+      error: error.message
     });
   }
 }
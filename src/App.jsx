@@ -1,7 +1,57 @@
+import { useState } from 'react'
 import SPYDashboard from './components/SPYDashboard'
+import DataStatusBar from './components/DataStatusBar'
+import { useMarketData } from './hooks/useMarketData'
+import { TIMEFRAMES } from './utils/marketData'
+import { DEFAULT_SYMBOL } from './utils/symbols'
+
+const EMPTY = []
 
 function App() {
-  return <SPYDashboard />
+  const [symbol, setSymbol] = useState(DEFAULT_SYMBOL)
+  const [timeframe, setTimeframe] = useState('1D')
+  const { quotes, history, daily, options, session, streaming, refresh } = useMarketData({
+    symbol,
+    history: TIMEFRAMES[timeframe]
+  })
+
+  // Hold the dashboard back until the first history load settles so it
+  // doesn't flash its mock-data fallback
+  const initialLoad = !history.data && history.status !== 'error'
+
+  return (
+    <>
+      <DataStatusBar
+        feeds={{ quotes, history, daily, options }}
+        session={session}
+        streaming={streaming}
+        onRefresh={refresh}
+      />
+      {initialLoad ? (
+        <div className="w-full min-h-screen bg-gray-900 text-white p-6">
+          <div className="max-w-7xl mx-auto bg-gray-800 rounded-lg p-12 text-center">
+            <div className="animate-spin rounded-full h-16 w-16 border-b-4 border-blue-500 mx-auto mb-6"></div>
+            <p className="text-xl font-bold mb-2">Loading Market Data...</p>
+            <p className="text-gray-400">Fetching quotes, price history and the options chain</p>
+          </div>
+        </div>
+      ) : (
+        <SPYDashboard
+          symbol={symbol}
+          onSymbolChange={setSymbol}
+          priceData={history.data || EMPTY}
+          dailyData={daily.data || EMPTY}
+          optionsData={options.data || EMPTY}
+          currentPrice={quotes.data?.spy ?? null}
+          vixPrice={quotes.data?.vix ?? null}
+          skewValue={quotes.data?.skew ?? null}
+          quoteDetails={quotes.data?.quotes}
+          timeframe={timeframe}
+          onTimeframeChange={setTimeframe}
+        />
+      )}
+    </>
+  )
 }
 
-export default App
\ No newline at end of file
+export default App
@@ -0,0 +1,116 @@
+import React from 'react';
+import { describeSession } from '../utils/marketCalendar';
+import { RefreshCw, Loader2, CheckCircle, AlertTriangle, Clock, Radio } from 'lucide-react';
+
+const FEED_LABELS = {
+  quotes: 'Quotes',
+  history: 'History',
+  daily: 'Daily Bars',
+  options: 'Options Chain'
+};
+
+const FeedBadge = ({ label, feed, degraded }) => {
+  if (feed.status === 'loading' || feed.status === 'refreshing') {
+    return (
+      <span className="flex items-center gap-1 text-blue-400">
+        <Loader2 size={14} className="animate-spin" />
+        {label}
+      </span>
+    );
+  }
+
+  if (feed.status === 'error') {
+    return (
+      <span className="flex items-center gap-1 text-red-400" title={feed.error}>
+        <AlertTriangle size={14} />
+        {label}: {feed.error}
+      </span>
+    );
+  }
+
+  if (degraded) {
+    return (
+      <span className="flex items-center gap-1 text-yellow-400" title={degraded}>
+        <AlertTriangle size={14} />
+        {label}: {degraded}
+      </span>
+    );
+  }
+
+  return (
+    <span className="flex items-center gap-1 text-green-400">
+      <CheckCircle size={14} />
+      {label}
+    </span>
+  );
+};
+
+// Quotes resolve even when individual symbols are unavailable or fell back
+const quoteFallbacks = (quotes) => {
+  const details = quotes.data?.quotes;
+  if (!details) return null;
+
+  const failed = Object.values(details).filter(quote => !quote.available);
+  return failed.length > 0 ? `unavailable ${failed.map(quote => quote.symbol).join(', ')}` : null;
+};
+
+// History and the chain fall back to synthetic data rather than failing
+const historyFallback = (history) =>
+  history.data?.some(bar => bar.simulated) ? 'simulated bars' : null;
+
+const optionsFallback = (options) =>
+  options.data?.some(opt => opt.simulated) ? 'simulated chain' : null;
+
+const DEGRADED = {
+  quotes: quoteFallbacks,
+  history: historyFallback,
+  daily: historyFallback,
+  options: optionsFallback
+};
+
+/**
+ * Per-feed load state strip shown above the dashboard
+ */
+const DataStatusBar = ({ feeds, session, streaming = false, onRefresh }) => {
+  const lastUpdate = feeds.quotes.updatedAt;
+
+  return (
+    <div className="w-full bg-gray-800 border-b border-gray-700 text-sm">
+      <div className="max-w-7xl mx-auto px-6 py-2 flex items-center justify-between gap-4">
+        <div className="flex items-center gap-4 flex-wrap">
+          {Object.keys(FEED_LABELS).map(key => (
+            <FeedBadge
+              key={key}
+              label={FEED_LABELS[key]}
+              feed={feeds[key]}
+              degraded={DEGRADED[key] ? DEGRADED[key](feeds[key]) : null}
+            />
+          ))}
+        </div>
+        <div className="flex items-center gap-4 text-gray-400">
+          {streaming && (
+            <span className="flex items-center gap-1 text-green-400">
+              <Radio size={14} />
+              Live
+            </span>
+          )}
+          <span className="flex items-center gap-1">
+            <Clock size={14} />
+            {describeSession()}
+            {session !== 'closed' && ' · auto-refresh on'}
+          </span>
+          {lastUpdate && <span>Updated {lastUpdate.toLocaleTimeString()}</span>}
+          <button
+            onClick={onRefresh}
+            className="flex items-center gap-1 px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white"
+          >
+            <RefreshCw size={14} />
+            Refresh
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataStatusBar;
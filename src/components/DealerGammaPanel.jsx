@@ -0,0 +1,135 @@
+import React from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip,
+  ResponsiveContainer, ReferenceLine, Cell
+} from 'recharts';
+import { formatCompact, formatCompactDollars, formatPrice } from '../utils/formatters';
+import { DEALER_MODELS } from '../utils/optionsCalculations';
+
+// Positioning model picker, with call/put weights for the custom model
+const DealerModelControls = ({ model, onModelChange, weights, onWeightsChange }) => (
+  <div className="flex items-center gap-2">
+    {model === 'custom' && ['call', 'put'].map(side => (
+      <label key={side} className="flex items-center gap-1 text-xs text-gray-400">
+        {side === 'call' ? 'Calls' : 'Puts'}
+        <input
+          type="number"
+          min={-1}
+          max={1}
+          step={0.1}
+          value={weights[side]}
+          onChange={(e) => onWeightsChange({ ...weights, [side]: Number(e.target.value) })}
+          className="w-16 bg-gray-700 text-white text-sm rounded px-2 py-1"
+        />
+      </label>
+    ))}
+    <select
+      value={model}
+      onChange={(e) => onModelChange(e.target.value)}
+      className="bg-gray-700 text-white text-sm rounded px-2 py-1"
+    >
+      {Object.entries(DEALER_MODELS).map(([key, label]) => (
+        <option key={key} value={key}>{label}</option>
+      ))}
+    </select>
+  </div>
+);
+
+/**
+ * Dealer gamma/delta exposure from calculateDealerMetrics
+ *
+ * GEX is dollar gamma: dollars of underlying dealers trade per 1% move.
+ * Custom weights are dealer contracts per contract of open interest,
+ * -1 (all short) to 1 (all long).
+ */
+const DealerGammaPanel = ({ dealerMetrics, currentPrice, model, onModelChange, weights, onWeightsChange }) => {
+  const controls = onModelChange && (
+    <DealerModelControls
+      model={model}
+      onModelChange={onModelChange}
+      weights={weights}
+      onWeightsChange={onWeightsChange}
+    />
+  );
+
+  if (!dealerMetrics) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-6">
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-xl font-semibold">Dealer Gamma Exposure</h2>
+          {controls}
+        </div>
+        <p className="text-gray-400">No options chain loaded - dealer positioning unavailable.</p>
+      </div>
+    );
+  }
+
+  const nearStrikes = dealerMetrics.strikes.filter(s =>
+    !currentPrice || Math.abs(s.strike - currentPrice) < currentPrice * 0.05
+  );
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">Dealer Gamma Exposure</h2>
+        {controls}
+      </div>
+      <div className="grid grid-cols-4 gap-4 mb-4">
+        <div>
+          <p className="text-sm text-gray-400 mb-1">Regime</p>
+          <p className={
+            dealerMetrics.isShortGamma ? 'text-xl font-bold text-red-400' : 'text-xl font-bold text-green-400'
+          }>
+            {dealerMetrics.isShortGamma ? 'Short Gamma' : 'Long Gamma'}
+          </p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 mb-1">Net GEX / 1%</p>
+          <p className="text-xl font-bold">{formatCompactDollars(dealerMetrics.totalGEX)}</p>
+          <p className="text-xs text-gray-400">{formatCompact(dealerMetrics.totalGamma)} shares per $1</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 mb-1">Net Delta</p>
+          <p className="text-xl font-bold">{formatCompact(dealerMetrics.totalDelta)}</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 mb-1">Gamma Flip</p>
+          <p className="text-xl font-bold text-yellow-400">{formatPrice(dealerMetrics.gammaFlipPoint)}</p>
+          {dealerMetrics.maxGammaStrike && (
+            <p className="text-xs text-gray-400">Max gamma @ {formatPrice(dealerMetrics.maxGammaStrike.strike)}</p>
+          )}
+        </div>
+      </div>
+      <ResponsiveContainer width="100%" height={280}>
+        <BarChart data={nearStrikes}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis dataKey="strike" stroke="#9CA3AF" />
+          <YAxis stroke="#9CA3AF" tickFormatter={formatCompactDollars} />
+          <Tooltip
+            contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+            formatter={(value) => formatCompactDollars(value)}
+          />
+          {currentPrice && <ReferenceLine x={currentPrice} stroke="#FFFFFF" strokeWidth={2} />}
+          {dealerMetrics.gammaFlipPoint && (
+            <ReferenceLine
+              x={dealerMetrics.gammaFlipPoint}
+              stroke="#F59E0B"
+              strokeDasharray="5 5"
+              label={{ value: 'Flip', fill: '#F59E0B', fontSize: 11 }}
+            />
+          )}
+          <Bar dataKey="netGEX" name="Dealer Net GEX per 1%">
+            {nearStrikes.map((entry, index) => (
+              <Cell key={`cell-${index}`} fill={entry.netGEX > 0 ? '#10B981' : '#EF4444'} />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+      <p className="text-xs text-gray-400 mt-2">
+        Short gamma = dealers hedge with the move (amplifying). Long gamma = dealers hedge against it (dampening).
+      </p>
+    </div>
+  );
+};
+
+export default DealerGammaPanel;
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import {
+  BarChart, Bar, ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
+  ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { formatCompact, formatCompactDollars, formatPrice } from '../utils/formatters';
+
+// Nearest expirations get their own stack segment, the rest share one
+const MAX_STACKED = 6;
+const STACK_COLORS = ['#EF4444', '#F59E0B', '#10B981', '#3B82F6', '#8B5CF6', '#EC4899'];
+const LATER_COLOR = '#6B7280';
+
+const expiryLabel = (e) => `${e.expiration.slice(5)} (${e.daysToExp}d)`;
+
+/**
+ * Open interest, dealer GEX and max pain split by expiration from
+ * calculateExpirationBreakdown, with what each expiration rolls off
+ *
+ * "All" stacks strikes by expiration; picking one expiration shows its
+ * call/put walls and max pain, and dealer GEX before and after it expires.
+ */
+const ExpirationBreakdownPanel = ({ breakdown, currentPrice }) => {
+  const [selected, setSelected] = useState('all');
+
+  if (!breakdown) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-6">
+        <h2 className="text-xl font-semibold mb-2">Positioning by Expiration</h2>
+        <p className="text-gray-400">No options chain loaded - expiration breakdown unavailable.</p>
+      </div>
+    );
+  }
+
+  const { expirations, strikes } = breakdown;
+  // A refresh can drop the picked expiration (it expired, or the selection changed)
+  const current = expirations.find(e => e.expiration === selected) || null;
+  const stacked = expirations.slice(0, MAX_STACKED);
+  const later = expirations.slice(MAX_STACKED).map(e => e.expiration);
+
+  const nearStrikes = strikes.filter(s =>
+    !currentPrice || Math.abs(s.strike - currentPrice) < currentPrice * 0.05
+  );
+  const sum = (values, keys) => keys.reduce((total, key) => total + (values[key] || 0), 0);
+  const allExpirations = expirations.map(e => e.expiration);
+  const remaining = current ? allExpirations.filter(exp => exp > current.expiration) : [];
+
+  const oiData = nearStrikes.map(s => ({ strike: s.strike, ...s.oi, later: sum(s.oi, later) }));
+  const gexData = nearStrikes.map(s => ({
+    strike: s.strike,
+    ...s.gex,
+    later: sum(s.gex, later),
+    now: sum(s.gex, allExpirations),
+    after: current ? sum(s.gex, remaining) : null
+  }));
+
+  const selectedOI = current
+    ? nearStrikes.map(s => ({
+      strike: s.strike,
+      callOI: s.callOI[current.expiration] || 0,
+      putOI: s.putOI[current.expiration] || 0
+    }))
+    : [];
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">Positioning by Expiration</h2>
+        <select
+          value={current ? current.expiration : 'all'}
+          onChange={(e) => setSelected(e.target.value)}
+          className="bg-gray-700 text-white text-sm rounded px-2 py-1"
+        >
+          <option value="all">All expirations</option>
+          {expirations.map(e => (
+            <option key={e.expiration} value={e.expiration}>{expiryLabel(e)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="overflow-x-auto mb-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-400 text-left">
+              <th className="py-1">Expiration</th>
+              <th className="py-1 text-right">Call OI</th>
+              <th className="py-1 text-right">Put OI</th>
+              <th className="py-1 text-right">Max Pain</th>
+              <th className="py-1 text-right">Net GEX / 1%</th>
+              <th className="py-1 text-right">GEX After Roll-Off</th>
+            </tr>
+          </thead>
+          <tbody>
+            {expirations.slice(0, 10).map(e => (
+              <tr
+                key={e.expiration}
+                onClick={() => setSelected(e.expiration)}
+                className={
+                  e.expiration === current?.expiration
+                    ? 'cursor-pointer bg-blue-600/20 text-blue-300'
+                    : 'cursor-pointer text-gray-300 hover:bg-gray-700'
+                }
+              >
+                <td className="py-1">{expiryLabel(e)}</td>
+                <td className="py-1 text-right">{formatCompact(e.callOI)}</td>
+                <td className="py-1 text-right">{formatCompact(e.putOI)}</td>
+                <td className="py-1 text-right text-yellow-400">{formatPrice(e.maxPain)}</td>
+                <td className={e.netGEX < 0 ? 'py-1 text-right text-red-400' : 'py-1 text-right text-green-400'}>
+                  {formatCompactDollars(e.netGEX)}
+                </td>
+                <td className="py-1 text-right">{formatCompactDollars(e.gexAfter)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {expirations.length > 10 && (
+          <p className="text-xs text-gray-400 mt-1">{expirations.length - 10} later expirations in the selector.</p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <p className="text-sm text-gray-400 mb-2">
+            {current ? `Open Interest - ${current.expiration}` : 'Open Interest by Expiration'}
+          </p>
+          <ResponsiveContainer width="100%" height={260}>
+            <BarChart data={current ? selectedOI : oiData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis dataKey="strike" stroke="#9CA3AF" />
+              <YAxis stroke="#9CA3AF" tickFormatter={formatCompact} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+                formatter={(value) => formatCompact(value)}
+              />
+              <Legend />
+              {currentPrice && <ReferenceLine x={currentPrice} stroke="#FFFFFF" strokeWidth={2} />}
+              {current?.maxPain && (
+                <ReferenceLine
+                  x={current.maxPain}
+                  stroke="#F59E0B"
+                  strokeDasharray="5 5"
+                  label={{ value: 'Max Pain', fill: '#F59E0B', fontSize: 11 }}
+                />
+              )}
+              {current ? (
+                [
+                  <Bar key="callOI" dataKey="callOI" stackId="oi" fill="#10B981" name="Call OI" />,
+                  <Bar key="putOI" dataKey="putOI" stackId="oi" fill="#EF4444" name="Put OI" />
+                ]
+              ) : (
+                stacked.map((e, i) => (
+                  <Bar key={e.expiration} dataKey={e.expiration} stackId="oi" name={expiryLabel(e)} fill={STACK_COLORS[i]} />
+                ))
+              )}
+              {!current && later.length > 0 && (
+                <Bar dataKey="later" stackId="oi" name="Later" fill={LATER_COLOR} />
+              )}
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 mb-2">
+            {current ? `Dealer GEX Before / After ${current.expiration}` : 'Dealer GEX by Expiration'}
+          </p>
+          <ResponsiveContainer width="100%" height={260}>
+            <ComposedChart data={gexData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis dataKey="strike" stroke="#9CA3AF" />
+              <YAxis stroke="#9CA3AF" tickFormatter={formatCompactDollars} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+                formatter={(value) => formatCompactDollars(value)}
+              />
+              <Legend />
+              {currentPrice && <ReferenceLine x={currentPrice} stroke="#FFFFFF" strokeWidth={2} />}
+              {current ? (
+                <Bar dataKey="now" name="Now" fill="#6B7280" />
+              ) : (
+                stacked.map((e, i) => (
+                  <Bar key={e.expiration} dataKey={e.expiration} stackId="gex" name={expiryLabel(e)} fill={STACK_COLORS[i]} />
+                ))
+              )}
+              {!current && later.length > 0 && (
+                <Bar dataKey="later" stackId="gex" name="Later" fill={LATER_COLOR} />
+              )}
+              {current && (
+                <Line type="monotone" dataKey="after" name="After Roll-Off" stroke="#F59E0B" strokeWidth={2} dot={false} />
+              )}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+      <p className="text-xs text-gray-400 mt-2">
+        Roll-off assumes spot and IVs hold: dealer gamma left once an expiration (and everything before it) settles. Large drops mean hedging that stops pinning price after OpEx.
+      </p>
+    </div>
+  );
+};
+
+export default ExpirationBreakdownPanel;
@@ -0,0 +1,91 @@
+import React from 'react';
+import {
+  AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip,
+  ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { formatCompactDollars, formatPrice } from '../utils/formatters';
+
+// "Dealers buy $1.2B" / "Dealers sell $3.4B"
+const flowLabel = (flow) => {
+  if (flow === null || flow === undefined || !isFinite(flow)) return 'N/A';
+  return `Dealers ${flow >= 0 ? 'buy' : 'sell'} ${formatCompactDollars(Math.abs(flow))}`;
+};
+
+/**
+ * Total dealer GEX against hypothetical spot levels from calculateGexProfile
+ */
+const GexProfileChart = ({ profile, currentPrice }) => {
+  if (!profile) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-6">
+        <h2 className="text-xl font-semibold mb-2">Gamma Exposure Profile</h2>
+        <p className="text-gray-400">No contracts with implied vols to reprice - profile unavailable.</p>
+      </div>
+    );
+  }
+
+  const { points, spotGEX, zeroGamma, hedgingFlow, excluded } = profile;
+  const spots = points.map(p => p.spot);
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-4">Gamma Exposure Profile</h2>
+      <div className="grid grid-cols-4 gap-4 mb-4">
+        <div>
+          <p className="text-sm text-gray-400 mb-1">Zero Gamma</p>
+          <p className="text-xl font-bold text-yellow-400">{formatPrice(zeroGamma)}</p>
+          {zeroGamma === null && <p className="text-xs text-gray-400">No sign change in range</p>}
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 mb-1">GEX at Spot / 1%</p>
+          <p className={spotGEX < 0 ? 'text-xl font-bold text-red-400' : 'text-xl font-bold text-green-400'}>
+            {formatCompactDollars(spotGEX)}
+          </p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 mb-1">On +1% Move</p>
+          <p className="text-lg font-bold">{flowLabel(hedgingFlow.up)}</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 mb-1">On -1% Move</p>
+          <p className="text-lg font-bold">{flowLabel(hedgingFlow.down)}</p>
+        </div>
+      </div>
+      <ResponsiveContainer width="100%" height={260}>
+        <AreaChart data={points}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis
+            dataKey="spot"
+            type="number"
+            domain={[Math.min(...spots), Math.max(...spots)]}
+            stroke="#9CA3AF"
+            tickFormatter={(v) => v.toFixed(0)}
+          />
+          <YAxis stroke="#9CA3AF" tickFormatter={formatCompactDollars} />
+          <Tooltip
+            contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+            labelFormatter={(v) => `Spot ${formatPrice(v)}`}
+            formatter={(value) => formatCompactDollars(value)}
+          />
+          <ReferenceLine y={0} stroke="#6B7280" />
+          {currentPrice && <ReferenceLine x={currentPrice} stroke="#FFFFFF" strokeWidth={2} />}
+          {zeroGamma && (
+            <ReferenceLine
+              x={zeroGamma}
+              stroke="#F59E0B"
+              strokeDasharray="5 5"
+              label={{ value: 'Zero γ', fill: '#F59E0B', fontSize: 11 }}
+            />
+          )}
+          <Area type="monotone" dataKey="gex" name="Dealer GEX per 1%" stroke="#8B5CF6" fill="#8B5CF6" fillOpacity={0.2} />
+        </AreaChart>
+      </ResponsiveContainer>
+      <p className="text-xs text-gray-400 mt-2">
+        Every contract repriced at each spot level with today's IVs. Above zero gamma dealer hedging dampens moves; below it, it amplifies them.
+        {excluded > 0 && ` ${excluded} contracts without an IV left out.`}
+      </p>
+    </div>
+  );
+};
+
+export default GexProfileChart;
@@ -8,6 +8,9 @@ import {
   TrendingUp, TrendingDown, AlertTriangle, Activity, 
   Layers, Target, Zap, BarChart3 
 } from 'lucide-react';
+import { TIMEFRAMES, generateSimulatedOptions } from '../utils/marketData';
+import { contractGreeks, timeToExpiry } from '../utils/optionsCalculations';
+import { calculateMaxPain } from '../utils/expirationBreakdown';
 
 /**
  * Advanced Market Structure Analysis Module
@@ -17,22 +20,35 @@ import {
  * - Break of Structure (BOS) and Change of Character (CHOCH) detection
  * - Momentum Indicators (RSI, MACD, Stochastic, ADX)
  * - Volume Profile & POC (Point of Control)
- * - Put/Call Walls & Max Pain calculation
- * - Volatility Term Structure
+ * - Put/Call Walls & Max Pain calculation (all or one expiration)
+ * - Recorded gamma flip, put/call ratio and SKEW history (daily timeframe)
  * - Multi-asset Correlation Analysis (SPY/VIX/SKEW/QQQ)
  * - Swing High/Low tracking with rejection zones
  */
 
 const MarketStructureAnalysis = ({ 
+  symbolLabel = 'SPY',
+  volIndexLabel = 'VIX',
   priceData = [], 
   optionsData = [], 
   currentPrice = null,
   vixPrice = null,
-  skewValue = null 
+  skewValue = null,
+  dividendYield = 0,
+  timeframe: controlledTimeframe,
+  onTimeframeChange,
+  embedded = false
 }) => {
   const [activeSection, setActiveSection] = useState('structure');
-  const [timeframe, setTimeframe] = useState('1D');
+  const [localTimeframe, setLocalTimeframe] = useState('1D');
+  // Controlled when the container owns the timeframe (so it can refetch)
+  const timeframe = controlledTimeframe ?? localTimeframe;
+  const setTimeframe = (tf) => {
+    setLocalTimeframe(tf);
+    if (onTimeframeChange) onTimeframeChange(tf);
+  };
   const [showAnnotations, setShowAnnotations] = useState(true);
+  const [wallsExpiration, setWallsExpiration] = useState('all');
 
   // Debug logging
   useEffect(() => {
@@ -130,34 +146,34 @@ const MarketStructureAnalysis = ({
 
     if (data.length < 5) return swings;
 
+    // Swings are judged on bar extremes; falls back to close when a series has no high/low
+    const highOf = (d) => d?.high ?? d?.close;
+    const lowOf = (d) => d?.low ?? d?.close;
+
     for (let i = 2; i < data.length - 2; i++) {
-      const prices = [
-        data[i - 2]?.close,
-        data[i - 1]?.close,
-        data[i]?.close,
-        data[i + 1]?.close,
-        data[i + 2]?.close
-      ];
+      const window = data.slice(i - 2, i + 3);
+      const highs = window.map(highOf);
+      const lows = window.map(lowOf);
 
       // Swing High
-      if (prices[2] > prices[0] && prices[2] > prices[1] && 
-          prices[2] > prices[3] && prices[2] > prices[4]) {
+      if (highs[2] > highs[0] && highs[2] > highs[1] && 
+          highs[2] > highs[3] && highs[2] > highs[4]) {
         swings.highs.push({
           index: i,
-          price: prices[2],
+          price: highs[2],
           timestamp: data[i].timestamp,
-          strength: (prices[2] - Math.min(...prices.filter((_, idx) => idx !== 2))) / prices[2] * 100
+          strength: (highs[2] - Math.min(...lows.filter((_, idx) => idx !== 2))) / highs[2] * 100
         });
       }
 
       // Swing Low
-      if (prices[2] < prices[0] && prices[2] < prices[1] && 
-          prices[2] < prices[3] && prices[2] < prices[4]) {
+      if (lows[2] < lows[0] && lows[2] < lows[1] && 
+          lows[2] < lows[3] && lows[2] < lows[4]) {
         swings.lows.push({
           index: i,
-          price: prices[2],
+          price: lows[2],
           timestamp: data[i].timestamp,
-          strength: (Math.max(...prices.filter((_, idx) => idx !== 2)) - prices[2]) / prices[2] * 100
+          strength: (Math.max(...highs.filter((_, idx) => idx !== 2)) - lows[2]) / lows[2] * 100
         });
       }
     }
@@ -275,11 +291,10 @@ const MarketStructureAnalysis = ({
   const calculateVolumeProfile = (data) => {
     if (data.length === 0) return { profile: [], poc: null, vah: null, val: null };
 
-    const prices = data.map(d => d.close);
     const volumes = data.map(d => d.volume || 1000000);
     
-    const minPrice = Math.min(...prices);
-    const maxPrice = Math.max(...prices);
+    const minPrice = Math.min(...data.map(d => d.low ?? d.close));
+    const maxPrice = Math.max(...data.map(d => d.high ?? d.close));
     const numBins = 50;
     const binSize = (maxPrice - minPrice) / numBins;
 
@@ -287,21 +302,31 @@ const MarketStructureAnalysis = ({
     for (let i = 0; i < numBins; i++) {
       const binLow = minPrice + i * binSize;
       const binHigh = binLow + binSize;
-      const binVolume = data.reduce((sum, d, idx) => {
-        if (d.close >= binLow && d.close < binHigh) {
-          return sum + (volumes[idx] || 0);
-        }
-        return sum;
-      }, 0);
-
       profile.push({
         priceLevel: (binLow + binHigh) / 2,
-        volume: binVolume,
+        volume: 0,
         priceLow: binLow,
         priceHigh: binHigh
       });
     }
 
+    // Spread each bar's volume evenly across the bins its high-low range covers
+    data.forEach((d, idx) => {
+      const low = d.low ?? d.close;
+      const high = d.high ?? d.close;
+
+      if (high <= low || binSize === 0) {
+        const bin = Math.min(numBins - 1, Math.floor((d.close - minPrice) / (binSize || 1)));
+        profile[bin].volume += volumes[idx];
+        return;
+      }
+
+      profile.forEach(node => {
+        const overlap = Math.min(high, node.priceHigh) - Math.max(low, node.priceLow);
+        if (overlap > 0) node.volume += volumes[idx] * overlap / (high - low);
+      });
+    });
+
     // Point of Control (highest volume node)
     const poc = profile.reduce((max, curr) => 
       curr.volume > max.volume ? curr : max
@@ -332,15 +357,19 @@ const MarketStructureAnalysis = ({
   // OPTIONS WALLS & MAX PAIN
   // ============================================================================
 
-  const calculateOptionsWalls = (optionsData, currentPrice) => {
+  const calculateOptionsWalls = (optionsData, currentPrice, dividendYield = 0) => {
     if (!optionsData || optionsData.length === 0) {
-      // Generate realistic mock data
-      return generateMockOptionsWalls(currentPrice);
+      // Same synthetic chain the dashboard falls back to, so walls agree with the gamma panels
+      return calculateOptionsWalls(generateSimulatedOptions(currentPrice || 595, vixPrice || 15), currentPrice, dividendYield);
     }
 
     const strikeData = {};
-    
+    const now = new Date();
+
     optionsData.forEach(opt => {
+      // Expired contracts (0DTE after its close) no longer pin anything
+      if (timeToExpiry(opt, now) <= 0) return;
+
       const strike = opt.strike;
       if (!strikeData[strike]) {
         strikeData[strike] = {
@@ -359,7 +388,7 @@ const MarketStructureAnalysis = ({
       const optType = (opt.type || '').toLowerCase();
       const openInterest = opt.openInterest || opt.oi || 0;
       const volume = opt.volume || 0;
-      const gamma = opt.gamma || 0;
+      const gamma = contractGreeks(opt, currentPrice || opt.strike, now, { dividendYield }).gamma;
 
       if (optType === 'call') {
         strikeData[strike].callOI += openInterest;
@@ -380,8 +409,15 @@ const MarketStructureAnalysis = ({
       putCallRatio: s.callOI > 0 ? s.putOI / s.callOI : 0
     }));
 
-    // Calculate max pain
-    const maxPain = calculateMaxPain(walls);
+    // Same max pain as the expiration breakdown, over the live contracts in
+    // its CALL/PUT + oi shape
+    const maxPain = calculateMaxPain(optionsData
+      .filter(opt => timeToExpiry(opt, now) > 0)
+      .map(opt => ({
+        strike: opt.strike,
+        type: (opt.type || '').toUpperCase(),
+        oi: opt.openInterest || opt.oi || 0
+      })));
 
     // Identify significant walls (top 20% OI)
     const sortedByOI = [...walls].sort((a, b) => b.totalOI - a.totalOI);
@@ -398,80 +434,6 @@ const MarketStructureAnalysis = ({
     };
   };
 
-  const calculateMaxPain = (walls) => {
-    let maxPainStrike = null;
-    let minPain = Infinity;
-
-    walls.forEach(wall => {
-      const strike = wall.strike;
-      let totalPain = 0;
-
-      walls.forEach(w => {
-        // Call pain: calls are ITM if current price > strike
-        if (strike > w.strike) {
-          totalPain += w.callOI * (strike - w.strike);
-        }
-        // Put pain: puts are ITM if current price < strike
-        if (strike < w.strike) {
-          totalPain += w.putOI * (w.strike - strike);
-        }
-      });
-
-      if (totalPain < minPain) {
-        minPain = totalPain;
-        maxPainStrike = strike;
-      }
-    });
-
-    return maxPainStrike;
-  };
-
-  const generateMockOptionsWalls = (currentPrice) => {
-    const basePrice = currentPrice || 595;
-    const walls = [];
-    
-    for (let i = -10; i <= 10; i++) {
-      const strike = Math.round(basePrice + i * 5);
-      const distanceFromPrice = Math.abs(strike - basePrice);
-      
-      // OI distribution: higher near current price, with skew
-      const baseOI = 50000 * Math.exp(-distanceFromPrice / 15);
-      const callSkew = strike > basePrice ? 0.8 : 1.2;
-      const putSkew = strike < basePrice ? 1.3 : 0.7;
-      
-      walls.push({
-        strike,
-        callOI: Math.round(baseOI * callSkew * (0.8 + Math.random() * 0.4)),
-        putOI: Math.round(baseOI * putSkew * (0.8 + Math.random() * 0.4)),
-        callVolume: Math.round(baseOI * 0.1 * Math.random()),
-        putVolume: Math.round(baseOI * 0.1 * Math.random()),
-        callGamma: baseOI * 0.001 * callSkew,
-        putGamma: baseOI * 0.001 * putSkew
-      });
-    }
-
-    const wallsWithMetrics = walls.map(w => ({
-      ...w,
-      netOI: w.callOI - w.putOI,
-      netGamma: w.callGamma - w.putGamma,
-      totalOI: w.callOI + w.putOI,
-      putCallRatio: w.callOI > 0 ? w.putOI / w.callOI : 0
-    }));
-
-    const maxPain = calculateMaxPain(wallsWithMetrics);
-    const sortedByOI = [...wallsWithMetrics].sort((a, b) => b.totalOI - a.totalOI);
-    const threshold = sortedByOI[Math.floor(sortedByOI.length * 0.3)]?.totalOI || 0;
-    const significantWalls = wallsWithMetrics.filter(w => w.totalOI >= threshold);
-
-    return {
-      walls: wallsWithMetrics,
-      maxPain,
-      significantWalls,
-      supportWalls: significantWalls.filter(w => w.strike < basePrice && w.putOI > w.callOI),
-      resistanceWalls: significantWalls.filter(w => w.strike > basePrice && w.callOI > w.putOI)
-    };
-  };
-
   // ============================================================================
   // CORRELATION ANALYSIS
   // ============================================================================
@@ -518,29 +480,132 @@ const MarketStructureAnalysis = ({
     return result;
   }
 
+  // ============================================================================
+  // MOCK DATA GENERATION
+  // ============================================================================
+
+  const generateMockPriceData = () => {
+    const data = [];
+    const basePrice = currentPrice || 595;
+    let price = basePrice * 0.95;
+    const now = Date.now();
+
+    for (let i = 0; i < 100; i++) {
+      const change = (Math.random() - 0.48) * 3;
+      price += change;
+      
+      data.push({
+        timestamp: now - (100 - i) * 86400000,
+        date: new Date(now - (100 - i) * 86400000).toLocaleDateString(),
+        close: price,
+        high: price + Math.random() * 2,
+        low: price - Math.random() * 2,
+        volume: 50000000 + Math.random() * 30000000,
+        spy: price,
+        vix: 14 + Math.random() * 8 + (price < basePrice ? 2 : -1)
+      });
+    }
+
+    return data;
+  };
+
+  // ============================================================================
+  // TIMEFRAME RESAMPLING
+  // ============================================================================
+
+  // Aggregate finer bars up to the selected timeframe. Coarser bars can't be
+  // split, so they pass through unchanged until the container's refetch lands.
+  const resampleBars = (data, minutes) => {
+    if (data.length < 2) return data;
+
+    const timeOf = (d) => d.timestamp || d.fullDate?.getTime();
+    const gaps = data.slice(1).map((d, i) => timeOf(d) - timeOf(data[i])).sort((a, b) => a - b);
+    const spacing = gaps[Math.floor(gaps.length / 2)];
+    if (!spacing || spacing >= minutes * 60000 * 0.9) return data;
+
+    const bucketOf = (ts) => {
+      if (minutes < 1440) return Math.floor(ts / (minutes * 60000));
+      const day = new Date(ts).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+      if (minutes === 1440) return day;
+      // Weekly buckets start on Monday
+      const monday = new Date(`${day}T00:00:00Z`);
+      monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+      return monday.toISOString().slice(0, 10);
+    };
+
+    const bars = [];
+    let bucket = null;
+
+    data.forEach(point => {
+      const key = bucketOf(timeOf(point));
+      const close = point.close || point.spy;
+      const high = point.high ?? close;
+      const low = point.low ?? close;
+
+      if (!bucket || bucket.key !== key) {
+        bucket = {
+          key,
+          bar: {
+            ...point,
+            date: minutes >= 1440
+              ? new Date(timeOf(point)).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+              : point.date,
+            open: point.open ?? close,
+            high,
+            low,
+            close,
+            volume: point.volume ?? null
+          }
+        };
+        bars.push(bucket);
+        return;
+      }
+
+      const agg = bucket.bar;
+      bucket.bar = {
+        ...point,
+        timestamp: agg.timestamp,
+        fullDate: agg.fullDate,
+        date: agg.date,
+        open: agg.open,
+        high: Math.max(agg.high, high),
+        low: Math.min(agg.low, low),
+        close,
+        spy: close,
+        vix: point.vix ?? agg.vix ?? null,
+        volume: agg.volume === null && point.volume == null ? null : (agg.volume || 0) + (point.volume || 0)
+      };
+    });
+
+    return bars.map(b => b.bar);
+  };
+
   // ============================================================================
   // DATA PROCESSING & MEMOIZATION
   // ============================================================================
 
   const processedData = useMemo(() => {
+    const minutes = TIMEFRAMES[timeframe]?.minutes || 1440;
+
     // If no price data or empty, generate mock data
-    if (!priceData || priceData.length === 0) {
+    let bars = priceData;
+    if (!bars || bars.length === 0) {
       console.log('MarketStructure: No priceData provided, generating mock data');
-      return generateMockPriceData();
+      bars = generateMockPriceData();
     }
 
-    console.log('MarketStructure: Processing', priceData.length, 'price data points');
+    bars = resampleBars(bars, minutes);
+    console.log('MarketStructure: Processing', bars.length, `${timeframe} bars`);
 
-    return priceData.map((point, index) => {
+    return bars.map((point, index) => {
       // Handle both 'close' and 'spy' fields (dashboard uses 'spy')
       const closePrice = point.close || point.spy || currentPrice || 595;
       const highPrice = point.high || closePrice;
       const lowPrice = point.low || closePrice;
       
-      const prices = priceData.slice(Math.max(0, index - 50), index + 1).map(p => p.close || p.spy || currentPrice || 595);
-      const highs = priceData.slice(Math.max(0, index - 50), index + 1).map(p => p.high || p.close || p.spy || currentPrice || 595);
-      const lows = priceData.slice(Math.max(0, index - 50), index + 1).map(p => p.low || p.close || p.spy || currentPrice || 595);
-      const volumes = priceData.slice(Math.max(0, index - 50), index + 1).map(p => p.volume || 50000000);
+      const prices = bars.slice(Math.max(0, index - 50), index + 1).map(p => p.close || p.spy || currentPrice || 595);
+      const highs = bars.slice(Math.max(0, index - 50), index + 1).map(p => p.high || p.close || p.spy || currentPrice || 595);
+      const lows = bars.slice(Math.max(0, index - 50), index + 1).map(p => p.low || p.close || p.spy || currentPrice || 595);
 
       const macd = calculateMACD(prices);
       const stoch = calculateStochastic(highs, lows, prices);
@@ -562,12 +627,13 @@ const MarketStructureAnalysis = ({
         macdHistogram: macd.histogram,
         stochK: stoch.k,
         stochD: stoch.d,
-        volume: point.volume || 50000000,
+        volume: point.volume ?? null,
         spy: point.spy || closePrice,
-        vix: point.vix || vixPrice || 14
+        // Null where the vol index had no bar; the correlation skips those
+        vix: point.vix ?? null
       };
     });
-  }, [priceData, currentPrice, vixPrice]);
+  }, [priceData, currentPrice, timeframe]);
 
   const swingAnalysis = useMemo(() => {
     return detectSwingPoints(processedData);
@@ -585,9 +651,32 @@ const MarketStructureAnalysis = ({
     return calculateVolumeProfile(processedData);
   }, [processedData]);
 
+  const wallsExpirations = useMemo(() => {
+    return [...new Set((optionsData || []).map(opt => opt.expiration))].sort();
+  }, [optionsData]);
+
+  // One expiration's walls and max pain, or every loaded expiration summed
   const optionsWalls = useMemo(() => {
-    return calculateOptionsWalls(optionsData, currentPrice);
-  }, [optionsData, currentPrice]);
+    const selected = wallsExpirations.includes(wallsExpiration)
+      ? optionsData.filter(opt => opt.expiration === wallsExpiration)
+      : optionsData;
+    return calculateOptionsWalls(selected, currentPrice, dividendYield);
+  }, [optionsData, currentPrice, vixPrice, dividendYield, wallsExpiration, wallsExpirations]);
+
+  // Values from the daily chain snapshots merged into the bars (see
+  // snapshotFields); they line up one-to-one only with daily bars
+  const snapshotHistory = useMemo(() => {
+    if (timeframe !== '1D') return [];
+    const bars = processedData.map(d => ({
+      timestamp: d.timestamp,
+      close: d.close,
+      gammaFlip: d.gammaFlip ?? null,
+      pcr: d.pcr ?? null,
+      skew: d.skew ?? null,
+      gammaShort: d.gammaShort ?? null
+    }));
+    return bars.some(d => d.gammaFlip !== null || d.pcr !== null || d.skew !== null) ? bars : [];
+  }, [processedData, timeframe]);
 
   const correlationData = useMemo(() => {
     if (!processedData || processedData.length === 0) {
@@ -597,7 +686,7 @@ const MarketStructureAnalysis = ({
     
     try {
       const validData = processedData.filter(d => 
-        d && (d.timestamp || d.fullDate) && (d.vix || vixPrice) && (d.spy || d.close)
+        d && (d.timestamp || d.fullDate) && d.vix && (d.spy || d.close)
       );
       
       console.log('MarketStructure: Valid data for correlation:', validData.length);
@@ -610,7 +699,7 @@ const MarketStructureAnalysis = ({
       const correlationInput = validData.map(d => {
         const ts = d.timestamp || d.fullDate?.getTime();
         const spy = d.close || d.spy || currentPrice || 595;
-        const vix = d.vix || vixPrice || 14;
+        const vix = d.vix;
         
         // Ensure timestamp is valid
         if (!ts || isNaN(ts)) {
@@ -650,7 +739,7 @@ const MarketStructureAnalysis = ({
       console.error('Error calculating correlation:', error);
       return [];
     }
-  }, [processedData, vixPrice, currentPrice]);
+  }, [processedData, currentPrice]);
 
   // Current momentum summary
   const currentMomentum = useMemo(() => {
@@ -698,35 +787,6 @@ const MarketStructureAnalysis = ({
     };
   }, [processedData, swingAnalysis]);
 
-  // ============================================================================
-  // MOCK DATA GENERATION
-  // ============================================================================
-
-  const generateMockPriceData = () => {
-    const data = [];
-    const basePrice = currentPrice || 595;
-    let price = basePrice * 0.95;
-    const now = Date.now();
-
-    for (let i = 0; i < 100; i++) {
-      const change = (Math.random() - 0.48) * 3;
-      price += change;
-      
-      data.push({
-        timestamp: now - (100 - i) * 86400000,
-        date: new Date(now - (100 - i) * 86400000).toLocaleDateString(),
-        close: price,
-        high: price + Math.random() * 2,
-        low: price - Math.random() * 2,
-        volume: 50000000 + Math.random() * 30000000,
-        spy: price,
-        vix: 14 + Math.random() * 8 + (price < basePrice ? 2 : -1)
-      });
-    }
-
-    return data;
-  };
-
   // ============================================================================
   // RENDER
   // ============================================================================
@@ -739,10 +799,15 @@ const MarketStructureAnalysis = ({
     { id: 'correlation', label: 'Correlation', icon: Zap }
   ];
 
+  // When hosted inside SPYDashboard the page chrome comes from the parent
+  const containerClass = embedded
+    ? 'w-full text-white'
+    : 'w-full min-h-screen bg-gray-900 text-white p-6';
+
   // Show loading state if data is still processing
   if (processedData.length === 0) {
     return (
-      <div className="w-full min-h-screen bg-gray-900 text-white p-6">
+      <div className={containerClass}>
         <div className="max-w-7xl mx-auto">
           <div className="mb-6">
             <h1 className="text-3xl font-bold mb-2">Market Structure Analysis</h1>
@@ -761,7 +826,7 @@ const MarketStructureAnalysis = ({
   }
 
   return (
-    <div className="w-full min-h-screen bg-gray-900 text-white p-6">
+    <div className={containerClass}>
       <div className="max-w-7xl mx-auto">
         {/* Header */}
         <div className="mb-6">
@@ -773,12 +838,27 @@ const MarketStructureAnalysis = ({
               </p>
             </div>
             <div className="text-right">
+              <div className="flex gap-1 justify-end mb-2">
+                {Object.keys(TIMEFRAMES).map(tf => (
+                  <button
+                    key={tf}
+                    onClick={() => setTimeframe(tf)}
+                    className={
+                      timeframe === tf
+                        ? 'px-3 py-1 rounded text-sm bg-blue-600 text-white'
+                        : 'px-3 py-1 rounded text-sm bg-gray-800 text-gray-400 hover:bg-gray-700'
+                    }
+                  >
+                    {tf}
+                  </button>
+                ))}
+              </div>
               <p className="text-sm text-gray-500">
                 Data Points: {processedData.length}
               </p>
               {processedData.length < 30 && (
                 <p className="text-xs text-yellow-500">
-                  ⚠ Limited data ({processedData.length} days). More history recommended for accuracy.
+                  ⚠ Limited data ({processedData.length} bars). More history recommended for accuracy.
                 </p>
               )}
             </div>
@@ -1234,6 +1314,20 @@ const MarketStructureAnalysis = ({
           {activeSection === 'walls' && (
             <div className="space-y-6">
               <div className="text-white">
+              {wallsExpirations.length > 1 && (
+                <div className="flex justify-end mb-4">
+                  <select
+                    value={wallsExpirations.includes(wallsExpiration) ? wallsExpiration : 'all'}
+                    onChange={(e) => setWallsExpiration(e.target.value)}
+                    className="bg-gray-700 text-white text-sm rounded px-2 py-1"
+                  >
+                    <option value="all">All expirations</option>
+                    {wallsExpirations.map(exp => (
+                      <option key={exp} value={exp}>{exp}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
               {/* Max Pain & Key Walls */}
               <div className="grid grid-cols-3 gap-4">
                 <div className="bg-gray-800 rounded-lg p-4">
@@ -1379,6 +1473,80 @@ const MarketStructureAnalysis = ({
                   P/C &gt; 1 = bearish positioning. P/C &lt; 1 = bullish positioning.
                 </p>
               </div>
+
+              {/* Recorded Positioning History (daily snapshots) */}
+              {snapshotHistory.length > 0 && (
+                <div className="bg-gray-800 rounded-lg p-6">
+                  <h2 className="text-xl font-semibold mb-4">Recorded Positioning History</h2>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <p className="text-sm text-gray-400 mb-2">{symbolLabel} Close vs Gamma Flip</p>
+                      <ResponsiveContainer width="100%" height={220}>
+                        <LineChart data={snapshotHistory}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                          <XAxis
+                            dataKey="timestamp"
+                            type="number"
+                            domain={['dataMin', 'dataMax']}
+                            stroke="#9CA3AF"
+                            tickFormatter={(ts) => new Date(ts).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                            tick={{ fontSize: 11 }}
+                          />
+                          <YAxis stroke="#9CA3AF" domain={['auto', 'auto']} tickFormatter={(v) => v.toFixed(0)} />
+                          <Tooltip
+                            contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+                            labelFormatter={(ts) => new Date(ts).toLocaleDateString()}
+                            formatter={(value) => (value === null ? 'N/A' : value.toFixed(2))}
+                          />
+                          <Legend />
+                          <Line type="monotone" dataKey="close" name="Close" stroke="#FFFFFF" dot={false} />
+                          <Line
+                            type="monotone"
+                            dataKey="gammaFlip"
+                            name="Gamma Flip"
+                            stroke="#F59E0B"
+                            strokeDasharray="5 5"
+                            dot={{ r: 2 }}
+                            connectNulls={false}
+                          />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                    <div>
+                      <p className="text-sm text-gray-400 mb-2">Put/Call Volume Ratio and CBOE SKEW</p>
+                      <ResponsiveContainer width="100%" height={220}>
+                        <LineChart data={snapshotHistory}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                          <XAxis
+                            dataKey="timestamp"
+                            type="number"
+                            domain={['dataMin', 'dataMax']}
+                            stroke="#9CA3AF"
+                            tickFormatter={(ts) => new Date(ts).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                            tick={{ fontSize: 11 }}
+                          />
+                          <YAxis yAxisId="pcr" stroke="#8B5CF6" domain={['auto', 'auto']} tickFormatter={(v) => v.toFixed(2)} />
+                          <YAxis yAxisId="skew" orientation="right" stroke="#EF4444" domain={['auto', 'auto']} />
+                          <Tooltip
+                            contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+                            labelFormatter={(ts) => new Date(ts).toLocaleDateString()}
+                            formatter={(value) => (value === null ? 'N/A' : value.toFixed(2))}
+                          />
+                          <Legend />
+                          <ReferenceLine yAxisId="pcr" y={1} stroke="#6B7280" strokeDasharray="3 3" />
+                          <Line yAxisId="pcr" type="monotone" dataKey="pcr" name="P/C Volume" stroke="#8B5CF6" dot={{ r: 2 }} connectNulls={false} />
+                          <Line yAxisId="skew" type="monotone" dataKey="skew" name="SKEW" stroke="#EF4444" dot={{ r: 2 }} connectNulls={false} />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+                  <p className="text-xs text-gray-400 mt-2">
+                    From the daily chain snapshots; gaps are days nothing was recorded.
+                    {snapshotHistory.some(d => d.gammaShort !== null) &&
+                      ` ${snapshotHistory.filter(d => d.gammaShort === 1).length} of ${snapshotHistory.filter(d => d.gammaShort !== null).length} recorded closes were below the flip (dealers short gamma).`}
+                  </p>
+                </div>
+              )}
             </div>
             </div>
           )}
@@ -1485,7 +1653,7 @@ const MarketStructureAnalysis = ({
               {correlationData.length > 0 ? (
                 <>
               <div className="bg-gray-800 rounded-lg p-6">
-                <h2 className="text-xl font-semibold mb-4">SPY vs VIX Correlation (14-Day Rolling)</h2>
+                <h2 className="text-xl font-semibold mb-4">{symbolLabel} vs {volIndexLabel} Correlation (14-Bar Rolling, {timeframe})</h2>
                 <ResponsiveContainer width="100%" height={300}>
                   <ComposedChart data={correlationData}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
@@ -1520,7 +1688,7 @@ const MarketStructureAnalysis = ({
                       stroke="#8B5CF6"
                       fill="#8B5CF6"
                       fillOpacity={0.3}
-                      name="SPY-VIX Correlation"
+                      name={`${symbolLabel}-${volIndexLabel} Correlation`}
                       yAxisId="left"
                     />
                   </ComposedChart>
@@ -1535,7 +1703,7 @@ const MarketStructureAnalysis = ({
                   <h3 className="text-lg font-semibold mb-4">Current Correlations</h3>
                   <div className="space-y-3">
                     <div className="flex justify-between items-center p-3 bg-gray-700/50 rounded">
-                      <span>SPY vs VIX</span>
+                      <span>{symbolLabel} vs {volIndexLabel}</span>
                       <span className="font-bold text-purple-400">
                         {correlationData.length > 0 
                           ? correlationData[correlationData.length - 1].spyVixCorr.toFixed(3)
@@ -1567,7 +1735,7 @@ const MarketStructureAnalysis = ({
                   <h3 className="text-lg font-semibold mb-4">Interpretation</h3>
                   <div className="space-y-2 text-sm">
                     <p className="text-gray-300">
-                      <span className="text-purple-400 font-semibold">Strong Negative (-0.7 to -1):</span> Normal market conditions. VIX rises when SPY falls.
+                      <span className="text-purple-400 font-semibold">Strong Negative (-0.7 to -1):</span> Normal market conditions. {volIndexLabel} rises when {symbolLabel} falls.
                     </p>
                     <p className="text-gray-300">
                       <span className="text-yellow-400 font-semibold">Weakening Correlation (-0.3 to -0.7):</span> Potential regime shift. Monitor closely.
@@ -1584,8 +1752,8 @@ const MarketStructureAnalysis = ({
                   <AlertTriangle size={48} className="mx-auto mb-4 text-yellow-500" />
                   <h3 className="text-xl font-bold mb-2">Insufficient Data for Correlation</h3>
                   <p className="text-gray-400">
-                    Need at least 15 days of data to calculate rolling correlation. 
-                    Currently have {processedData.length} days.
+                    Need at least 15 bars of data to calculate rolling correlation. 
+                    Currently have {processedData.length} {timeframe} bars.
                   </p>
                 </div>
               )}
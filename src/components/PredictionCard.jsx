@@ -0,0 +1,85 @@
+import React from 'react';
+import { TrendingUp, TrendingDown } from 'lucide-react';
+
+/**
+ * Directional call and contributing signals from generatePrediction
+ */
+const PredictionCard = ({ prediction, simulatedChain = false, symbolLabel = 'SPY' }) => {
+  if (!prediction) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-6">
+        <h2 className="text-xl font-semibold mb-2">Prediction</h2>
+        <p className="text-gray-400">
+          {simulatedChain
+            ? 'Options chain is simulated - no prediction without real positioning data.'
+            : 'Needs dealer and volatility metrics from the options chain.'}
+        </p>
+      </div>
+    );
+  }
+
+  const isBull = prediction.prediction === 'BULLISH';
+  const isBear = prediction.prediction === 'BEARISH';
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-4">Prediction</h2>
+      <div className="flex items-center justify-between mb-4">
+        <div className={
+          isBull ? 'inline-flex items-center px-3 py-1 rounded text-lg font-bold bg-green-600/20 text-green-400' :
+          isBear ? 'inline-flex items-center px-3 py-1 rounded text-lg font-bold bg-red-600/20 text-red-400' :
+          'inline-flex items-center px-3 py-1 rounded text-lg font-bold bg-gray-600/20 text-gray-400'
+        }>
+          {isBull && <TrendingUp size={20} className="mr-2" />}
+          {isBear && <TrendingDown size={20} className="mr-2" />}
+          {prediction.prediction}
+        </div>
+        <div className="text-right">
+          <p className="text-sm text-gray-400">Confidence</p>
+          <p className="text-xl font-bold">{(prediction.confidence * 100).toFixed(0)}%</p>
+        </div>
+      </div>
+      <div className="flex justify-between text-sm mb-4">
+        <span className="text-green-400">Bullish score: {prediction.bullishScore}</span>
+        <span className="text-red-400">Bearish score: {prediction.bearishScore}</span>
+      </div>
+      <div className="space-y-2">
+        {prediction.signals.map((signal, idx) => (
+          <div
+            key={idx}
+            className={
+              signal.sentiment === 'bullish'
+                ? 'flex justify-between items-center p-2 rounded bg-green-600/10'
+                : 'flex justify-between items-center p-2 rounded bg-red-600/10'
+            }
+          >
+            <span className="text-sm">{signal.factor}</span>
+            <span className={
+              signal.sentiment === 'bullish' ? 'text-xs font-semibold text-green-400' : 'text-xs font-semibold text-red-400'
+            }>
+              {signal.sentiment === 'bullish' ? '+' : '-'}{signal.weight}
+            </span>
+          </div>
+        ))}
+      </div>
+      {prediction.excluded?.length > 0 && (
+        <div className="mt-4">
+          <p className="text-xs text-yellow-500 mb-1">Excluded - missing inputs</p>
+          <div className="space-y-1">
+            {prediction.excluded.map(item => (
+              <div key={item.factor} className="flex justify-between text-xs text-gray-400">
+                <span>{item.factor}</span>
+                <span>{item.reason}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      <p className="text-xs text-gray-500 mt-3">
+        As of {new Date(prediction.timestamp).toLocaleTimeString()} with {symbolLabel} at {prediction.spyPriceAtPrediction ? `$${prediction.spyPriceAtPrediction.toFixed(2)}` : 'N/A'}
+      </p>
+    </div>
+  );
+};
+
+export default PredictionCard;
@@ -0,0 +1,100 @@
+import React from 'react';
+import { TrendingUp, TrendingDown, AlertTriangle } from 'lucide-react';
+import { formatPrice } from '../utils/formatters';
+import { SESSION_LABELS } from '../utils/marketCalendar';
+
+// Provenance line under each quote: fallback/unavailable/stale flags, source,
+// as-of time and, outside the regular session, which session it printed in
+const QuoteMeta = ({ quote }) => {
+  if (!quote) return null;
+
+  if (quote.fallback) {
+    return (
+      <p className="flex items-center gap-1 text-xs text-yellow-400 mt-1" title={quote.error}>
+        <AlertTriangle size={12} />
+        FALLBACK - not a live quote
+      </p>
+    );
+  }
+
+  if (!quote.available) {
+    return (
+      <p className="flex items-center gap-1 text-xs text-yellow-400 mt-1" title={quote.error}>
+        <AlertTriangle size={12} />
+        UNAVAILABLE
+      </p>
+    );
+  }
+
+  const asOf = quote.asOf ? new Date(quote.asOf) : null;
+  return (
+    <p className={quote.stale ? 'text-xs text-yellow-500 mt-1' : 'text-xs text-gray-500 mt-1'}>
+      {quote.stale && 'STALE · '}
+      {quote.source}
+      {asOf && ` · ${asOf.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}`}
+      {quote.session && quote.session !== 'regular' && ` · ${SESSION_LABELS[quote.session]}`}
+    </p>
+  );
+};
+
+/**
+ * Headline quotes - the underlying with change vs the prior session's close
+ * (from the quote, so it doesn't depend on the chart timeframe), its vol
+ * index and SKEW (S&P underlyings only)
+ */
+const QuotesHeader = ({
+  symbolLabel = 'SPY',
+  volIndexLabel = 'VIX',
+  currentPrice,
+  vixPrice,
+  skewValue,
+  quoteDetails = {}
+}) => {
+  const prevClose = quoteDetails.spy?.fallback ? null : quoteDetails.spy?.previousClose ?? null;
+  const change = currentPrice && prevClose ? currentPrice - prevClose : null;
+  const changePct = change !== null ? change / prevClose * 100 : null;
+
+  return (
+    <div className="grid grid-cols-3 gap-4">
+      <div className="bg-gray-800 rounded-lg p-4">
+        <p className="text-sm text-gray-400 mb-1">{symbolLabel}</p>
+        <p className="text-3xl font-bold">{formatPrice(currentPrice)}</p>
+        {change !== null && (
+          <p className={
+            change >= 0 ? 'flex items-center gap-1 text-sm text-green-400' : 'flex items-center gap-1 text-sm text-red-400'
+          }>
+            {change >= 0 ? <TrendingUp size={14} /> : <TrendingDown size={14} />}
+            {change >= 0 ? '+' : ''}{change.toFixed(2)} ({changePct.toFixed(2)}%)
+          </p>
+        )}
+        <QuoteMeta quote={quoteDetails.spy} />
+      </div>
+      <div className="bg-gray-800 rounded-lg p-4">
+        <p className="text-sm text-gray-400 mb-1">{volIndexLabel}</p>
+        <p className={
+          vixPrice > 25 ? 'text-3xl font-bold text-red-400' :
+          vixPrice < 12 ? 'text-3xl font-bold text-green-400' :
+          'text-3xl font-bold text-white'
+        }>
+          {vixPrice ? vixPrice.toFixed(2) : 'N/A'}
+        </p>
+        <p className="text-xs text-gray-400 mt-1">30-day implied volatility</p>
+        <QuoteMeta quote={quoteDetails.vix} />
+      </div>
+      <div className="bg-gray-800 rounded-lg p-4">
+        <p className="text-sm text-gray-400 mb-1">SKEW</p>
+        <p className={
+          skewValue > 140 ? 'text-3xl font-bold text-red-400' : 'text-3xl font-bold text-white'
+        }>
+          {skewValue ? skewValue.toFixed(2) : 'N/A'}
+        </p>
+        <p className="text-xs text-gray-400 mt-1">
+          {quoteDetails.skew ? 'Tail-risk pricing (CBOE)' : `Not published for ${symbolLabel}`}
+        </p>
+        <QuoteMeta quote={quoteDetails.skew} />
+      </div>
+    </div>
+  );
+};
+
+export default QuotesHeader;
@@ -0,0 +1,45 @@
+import React from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
+  ResponsiveContainer, ReferenceLine
+} from 'recharts';
+
+/**
+ * Front-expiration IV smile by strike from calculateSkewCurve
+ */
+const SkewCurveChart = ({ skewCurve = [], currentPrice }) => {
+  const expiration = skewCurve[0]?.expiration;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-4">
+        IV Skew Curve {expiration ? `(${expiration})` : '(Front Expiration)'}
+      </h2>
+      {skewCurve.length === 0 ? (
+        <p className="text-gray-400">No near-term contracts in the loaded chain.</p>
+      ) : (
+        <ResponsiveContainer width="100%" height={280}>
+          <LineChart data={skewCurve}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis dataKey="strike" stroke="#9CA3AF" />
+            <YAxis stroke="#9CA3AF" unit="%" domain={['auto', 'auto']} />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+              formatter={(value) => `${value.toFixed(2)}%`}
+            />
+            <Legend />
+            {currentPrice && <ReferenceLine x={currentPrice} stroke="#FFFFFF" strokeWidth={2} />}
+            <Line type="monotone" dataKey="putIV" stroke="#EF4444" strokeWidth={2} name="Put IV" dot={false} connectNulls />
+            <Line type="monotone" dataKey="callIV" stroke="#10B981" strokeWidth={2} name="Call IV" dot={false} connectNulls />
+            <Line type="monotone" dataKey="avgIV" stroke="#8B5CF6" strokeDasharray="5 5" name="Avg IV" dot={false} connectNulls />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+      <p className="text-xs text-gray-400 mt-2">
+        Steeper put wing = more demand for downside protection.
+      </p>
+    </div>
+  );
+};
+
+export default SkewCurveChart;
@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { SYMBOLS, normalizeSymbol } from '../utils/symbols';
+
+/**
+ * Preset underlyings plus a free-form ticker box
+ */
+const SymbolPicker = ({ symbol, onSymbolChange }) => {
+  const [draft, setDraft] = useState('');
+  const invalid = draft !== '' && !normalizeSymbol(draft);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const next = normalizeSymbol(draft);
+    if (!next) return;
+    onSymbolChange(next);
+    setDraft('');
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <div className="flex gap-1">
+        {Object.keys(SYMBOLS).map(key => (
+          <button
+            key={key}
+            onClick={() => onSymbolChange(key)}
+            className={
+              key === symbol
+                ? 'px-3 py-1 rounded text-sm font-semibold bg-blue-600 text-white'
+                : 'px-3 py-1 rounded text-sm font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }
+          >
+            {SYMBOLS[key].label}
+          </button>
+        ))}
+      </div>
+      <form onSubmit={submit}>
+        <input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder={SYMBOLS[symbol] ? 'Ticker' : symbol}
+          aria-label="Ticker symbol"
+          className={
+            invalid
+              ? 'w-24 bg-gray-700 text-white text-sm rounded px-2 py-1 uppercase border border-red-500'
+              : 'w-24 bg-gray-700 text-white text-sm rounded px-2 py-1 uppercase border border-transparent'
+          }
+        />
+      </form>
+    </div>
+  );
+};
+
+export default SymbolPicker;
@@ -0,0 +1,150 @@
+import React from 'react';
+import {
+  ComposedChart, LineChart, Line, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { formatPercent } from '../utils/formatters';
+import { CONSTANT_MATURITIES } from '../utils/termStructure';
+
+const MATURITY_COLORS = { 7: '#EF4444', 30: '#F59E0B', 60: '#10B981', 90: '#3B82F6' };
+
+const SHAPE_STYLES = {
+  contango: 'text-green-400',
+  flat: 'text-yellow-400',
+  backwardation: 'text-red-400'
+};
+
+const shapeLabel = (shape) => (shape ? shape.charAt(0).toUpperCase() + shape.slice(1) : 'N/A');
+
+// Plotted in vol points so the axis reads like VIX
+const volPoints = (iv) => (iv === null || iv === undefined ? null : iv * 100);
+
+/**
+ * ATM implied vol term structure from calculateTermStructure, the CBOE
+ * index curve from indexTermStructure (null for underlyings without
+ * VIX9D/VIX3M siblings) and the recorded daily history
+ */
+const TermStructurePanel = ({ termStructure, indexTerm, history = [] }) => {
+  if (!termStructure) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-6">
+        <h2 className="text-xl font-semibold mb-2">Volatility Term Structure</h2>
+        <p className="text-gray-400">No contracts with implied vols - term structure unavailable.</p>
+      </div>
+    );
+  }
+
+  const { expirations, constantMaturities, front, back, ratio, shape } = termStructure;
+  const iv30 = constantMaturities.find(p => p.days === 30)?.iv ?? null;
+  const chainCurve = expirations.map(e => ({ days: e.days, iv: volPoints(e.atmIV), label: e.expiration }));
+  const constantCurve = constantMaturities
+    .filter(p => p.iv !== null)
+    .map(p => ({ days: p.days, iv: volPoints(p.iv), label: `${p.days}d constant maturity` }));
+  const indexCurve = (indexTerm?.points || []).map(p => ({ days: p.days, iv: volPoints(p.iv), label: p.key.toUpperCase() }));
+  const missing = constantMaturities.filter(p => p.iv === null).map(p => `${p.days}d`);
+  const historyData = history.map(h => ({
+    date: h.date,
+    ...Object.fromEntries(CONSTANT_MATURITIES.map(days => [days, volPoints(h[days])]))
+  }));
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-4">Volatility Term Structure</h2>
+      <div className="grid grid-cols-4 gap-4 mb-4">
+        <div>
+          <p className="text-sm text-gray-400 mb-1">30d ATM IV</p>
+          <p className="text-xl font-bold">{formatPercent(iv30, 1)}</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 mb-1">Chain Shape</p>
+          <p className={`text-xl font-bold ${SHAPE_STYLES[shape] || ''}`}>{shapeLabel(shape)}</p>
+          {front && back && (
+            <p className="text-xs text-gray-400">
+              {Math.round(front.days)}d / {Math.round(back.days)}d = {ratio.toFixed(2)}
+            </p>
+          )}
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 mb-1">VIX / VIX3M</p>
+          <p className={`text-xl font-bold ${SHAPE_STYLES[indexTerm?.shape] || ''}`}>
+            {indexTerm?.ratio ? indexTerm.ratio.toFixed(2) : 'N/A'}
+          </p>
+          <p className="text-xs text-gray-400">{indexTerm ? shapeLabel(indexTerm.shape) : 'Indices unavailable'}</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 mb-1">VIX9D / VIX</p>
+          <p className="text-xl font-bold">{indexTerm?.shortRatio ? indexTerm.shortRatio.toFixed(2) : 'N/A'}</p>
+          <p className="text-xs text-gray-400">Above 1: near-term event priced</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <p className="text-sm text-gray-400 mb-2">ATM IV by Days to Expiration</p>
+          <ResponsiveContainer width="100%" height={260}>
+            <ComposedChart>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis
+                dataKey="days"
+                type="number"
+                domain={[0, 'dataMax']}
+                stroke="#9CA3AF"
+                tickFormatter={(v) => `${Math.round(v)}d`}
+              />
+              <YAxis stroke="#9CA3AF" domain={['auto', 'auto']} tickFormatter={(v) => v.toFixed(0)} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+                labelFormatter={(v) => `${Number(v).toFixed(1)} days`}
+                formatter={(value, name, item) => [value.toFixed(2), item.payload.label || name]}
+              />
+              <Legend />
+              <Line data={chainCurve} dataKey="iv" name="Chain ATM IV" stroke="#8B5CF6" strokeWidth={2} dot={{ r: 2 }} />
+              <Scatter data={constantCurve} dataKey="iv" name="Constant Maturity" fill="#F59E0B" />
+              {indexCurve.length > 0 && (
+                <Line data={indexCurve} dataKey="iv" name="CBOE Indices" stroke="#9CA3AF" strokeDasharray="5 5" dot={{ r: 3 }} />
+              )}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 mb-2">Constant-Maturity IV History</p>
+          {historyData.length > 1 ? (
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={historyData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis dataKey="date" stroke="#9CA3AF" tickFormatter={(d) => d.slice(5)} />
+                <YAxis stroke="#9CA3AF" domain={['auto', 'auto']} tickFormatter={(v) => v.toFixed(0)} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+                  formatter={(value) => (value === null ? 'N/A' : value.toFixed(2))}
+                />
+                <Legend />
+                {CONSTANT_MATURITIES.map(days => (
+                  <Line
+                    key={days}
+                    type="monotone"
+                    dataKey={String(days)}
+                    name={`${days}d`}
+                    stroke={MATURITY_COLORS[days]}
+                    dot={false}
+                    connectNulls={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          ) : (
+            <p className="text-gray-400 text-sm">
+              History builds up from the daily snapshots - check back after the next session.
+            </p>
+          )}
+        </div>
+      </div>
+      <p className="text-xs text-gray-400 mt-2">
+        ATM IV interpolated to the forward per expiration, constant maturities interpolated in total variance. Contango (back month above front) is the calm default; backwardation means near-term fear.
+        {missing.length > 0 && ` ${missing.join(', ')} outside the loaded expirations.`}
+      </p>
+    </div>
+  );
+};
+
+export default TermStructurePanel;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
+  ResponsiveContainer, ReferenceLine, Cell
+} from 'recharts';
+import { formatCompactDollars } from '../utils/formatters';
+
+const VIEWS = { strike: 'By Strike', expiration: 'By Expiration' };
+
+// Dealers trade the opposite of their delta change to stay hedged
+const hedgeLabel = (deltaChange) => {
+  if (deltaChange === null || deltaChange === undefined || !isFinite(deltaChange)) return 'N/A';
+  return `Dealers ${deltaChange <= 0 ? 'buy' : 'sell'} ${formatCompactDollars(Math.abs(deltaChange))}`;
+};
+
+const ExposureChart = ({ title, data, xKey, bars, currentPrice }) => (
+  <div>
+    <p className="text-sm text-gray-400 mb-2">{title}</p>
+    <ResponsiveContainer width="100%" height={240}>
+      <BarChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+        <XAxis dataKey={xKey} stroke="#9CA3AF" />
+        <YAxis stroke="#9CA3AF" tickFormatter={formatCompactDollars} />
+        <Tooltip
+          contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+          formatter={(value) => formatCompactDollars(value)}
+        />
+        {bars.length > 1 && <Legend />}
+        {xKey === 'strike' && currentPrice && <ReferenceLine x={currentPrice} stroke="#FFFFFF" strokeWidth={2} />}
+        {bars.map(({ key, name, color }, i) => (
+          <Bar key={key} dataKey={key} name={name} fill={color}>
+            {i === 0 && data.map((entry, index) => (
+              <Cell key={`cell-${index}`} fill={entry[key] > 0 ? '#10B981' : '#EF4444'} />
+            ))}
+          </Bar>
+        ))}
+      </BarChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+/**
+ * Dealer vanna and charm exposure from calculateDealerMetrics, by strike
+ * or by expiration
+ *
+ * Vanna: dollar change in dealer delta per vol point, what a vol crush
+ * forces dealers to re-hedge. Charm: dollar change per calendar day as
+ * time passes, the drift into the close and OpEx.
+ */
+const VannaCharmPanel = ({ dealerMetrics, currentPrice }) => {
+  const [view, setView] = useState('strike');
+
+  if (!dealerMetrics) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-6">
+        <h2 className="text-xl font-semibold mb-2">Vanna &amp; Charm Exposure</h2>
+        <p className="text-gray-400">No options chain loaded - vanna and charm unavailable.</p>
+      </div>
+    );
+  }
+
+  const data = view === 'strike'
+    ? dealerMetrics.strikes.filter(s =>
+      !currentPrice || Math.abs(s.strike - currentPrice) < currentPrice * 0.05
+    )
+    : dealerMetrics.expirations.map(e => ({ ...e, label: `${e.expiration.slice(5)} (${e.daysToExp}d)` }));
+  const xKey = view === 'strike' ? 'strike' : 'label';
+  const nextExpiration = dealerMetrics.expirations[0];
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">Vanna &amp; Charm Exposure</h2>
+        <div className="flex gap-1">
+          {Object.entries(VIEWS).map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setView(key)}
+              className={
+                key === view
+                  ? 'px-3 py-1 rounded text-sm font-semibold bg-blue-600 text-white'
+                  : 'px-3 py-1 rounded text-sm font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600'
+              }
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="grid grid-cols-4 gap-4 mb-4">
+        <div>
+          <p className="text-sm text-gray-400 mb-1">Net Vanna / Vol Pt</p>
+          <p className="text-xl font-bold">{formatCompactDollars(dealerMetrics.totalVanna)}</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 mb-1">IV -1 pt</p>
+          <p className="text-lg font-bold">{hedgeLabel(-dealerMetrics.totalVanna)}</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 mb-1">Net Charm / Day</p>
+          <p className="text-xl font-bold">{formatCompactDollars(dealerMetrics.totalCharm)}</p>
+          <p className="text-xs text-gray-400">{hedgeLabel(dealerMetrics.totalCharm)} over a day</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 mb-1">
+            {nextExpiration ? `Into ${nextExpiration.expiration} Expiry` : 'Into Next Expiry'}
+          </p>
+          <p className="text-lg font-bold">{hedgeLabel(nextExpiration?.deltaRelease)}</p>
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <ExposureChart
+          title="Vanna ($ delta per vol point)"
+          data={data}
+          xKey={xKey}
+          currentPrice={currentPrice}
+          bars={[{ key: 'netVanna', name: 'Net Vanna', color: '#8B5CF6' }]}
+        />
+        <ExposureChart
+          title={view === 'strike' ? 'Charm ($ delta per day)' : 'Charm per day and delta released at expiry'}
+          data={data}
+          xKey={xKey}
+          currentPrice={currentPrice}
+          bars={view === 'strike'
+            ? [{ key: 'netCharm', name: 'Net Charm', color: '#F59E0B' }]
+            : [
+              { key: 'netCharm', name: 'Charm / Day', color: '#F59E0B' },
+              { key: 'deltaRelease', name: 'Released at Expiry', color: '#6B7280' }
+            ]}
+        />
+      </div>
+      <p className="text-xs text-gray-400 mt-2">
+        Dealer delta change; dealers trade the opposite amount to stay hedged. Falling IV after events and time decay into OpEx both move dealer delta through these exposures.
+      </p>
+    </div>
+  );
+};
+
+export default VannaCharmPanel;
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import {
+  ComposedChart, Line, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
+  ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { formatPercent } from '../utils/formatters';
+import { surfaceGrid, sviImpliedVol } from '../utils/volSurface';
+
+const CURVE_STEPS = 60;
+
+// Blue (low IV) through red (high IV)
+const heatColor = (iv, min, max) => {
+  if (iv === null) return '#1F2937';
+  const t = max > min ? (iv - min) / (max - min) : 0.5;
+  return `hsl(${Math.round(240 * (1 - t))}, 70%, 35%)`;
+};
+
+const expiryLabel = (s) => `${s.expiration.slice(5)} (${s.daysToExp}d)`;
+
+// Fitted smile across the quoted strikes, in vol points
+const fittedCurve = (slice) => {
+  const first = slice.points[0].k;
+  const last = slice.points[slice.points.length - 1].k;
+  return Array.from({ length: CURVE_STEPS + 1 }, (_, i) => {
+    const k = first + (last - first) * i / CURVE_STEPS;
+    const iv = sviImpliedVol(slice.params, k, slice.T);
+    return { strike: slice.forward * Math.exp(k), iv: iv === null ? null : iv * 100 };
+  });
+};
+
+/**
+ * Implied vol surface from calculateVolSurface: moneyness x maturity
+ * heatmap of the interpolated surface and per-expiration smiles with the
+ * SVI fit against market quotes
+ */
+const VolSurfacePanel = ({ surface, currentPrice }) => {
+  const [selected, setSelected] = useState(null);
+
+  if (!surface) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-6">
+        <h2 className="text-xl font-semibold mb-2">Volatility Surface</h2>
+        <p className="text-gray-400">Not enough quoted implied vols to fit a smile - surface unavailable.</p>
+      </div>
+    );
+  }
+
+  const { slices, calendarViolations, arbitrageFree, skipped } = surface;
+  // Default to the first smile at least a day out; today's collapses into the close
+  const slice = slices.find(s => s.expiration === selected)
+    || slices.find(s => s.daysToExp >= 1)
+    || slices[0];
+  const butterflyCount = slices.filter(s => !s.butterfly.arbitrageFree).length;
+
+  const grid = surfaceGrid(surface);
+  const ivs = grid.flatMap(row => row.cells.map(c => c.iv)).filter(iv => iv !== null);
+  const minIV = Math.min(...ivs);
+  const maxIV = Math.max(...ivs);
+
+  const market = (type) => slice.points
+    .filter(p => p.type === type)
+    .map(p => ({ strike: p.strike, iv: p.iv * 100 }));
+  const { a, b, rho, m, sigma } = slice.params;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">Volatility Surface (SVI)</h2>
+        <span className={arbitrageFree ? 'text-sm font-semibold text-green-400' : 'text-sm font-semibold text-red-400'}>
+          {arbitrageFree
+            ? 'No static arbitrage in the fit'
+            : `${butterflyCount} butterfly, ${calendarViolations.length} calendar violations`}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <p className="text-sm text-gray-400 mb-2">IV by Moneyness (K/F) and Days to Expiration</p>
+          <table className="w-full text-xs text-center">
+            <thead>
+              <tr className="text-gray-400">
+                <th className="py-1 text-left">K/F</th>
+                {grid[0].cells.map(c => <th key={c.days} className="py-1">{c.days}d</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {[...grid].reverse().map(row => (
+                <tr key={row.moneyness}>
+                  <td className="py-1 text-left text-gray-400">
+                    {row.moneyness > 0 ? '+' : ''}{(row.moneyness * 100).toFixed(1)}%
+                  </td>
+                  {row.cells.map(c => (
+                    <td
+                      key={c.days}
+                      className="py-1 text-white"
+                      style={{ backgroundColor: heatColor(c.iv, minIV, maxIV) }}
+                    >
+                      {c.iv === null ? '-' : (c.iv * 100).toFixed(1)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-400 mt-2">
+            Between fitted expirations total variance is interpolated in time; '-' is past the longest one.
+          </p>
+        </div>
+
+        <div>
+          <div className="flex justify-between items-center mb-2">
+            <p className="text-sm text-gray-400">Smile - fit vs. market</p>
+            <select
+              value={slice.expiration}
+              onChange={(e) => setSelected(e.target.value)}
+              className="bg-gray-700 text-white text-sm rounded px-2 py-1"
+            >
+              {slices.map(s => (
+                <option key={s.expiration} value={s.expiration}>{expiryLabel(s)}</option>
+              ))}
+            </select>
+          </div>
+          <ResponsiveContainer width="100%" height={240}>
+            <ComposedChart>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis
+                dataKey="strike"
+                type="number"
+                domain={['dataMin', 'dataMax']}
+                stroke="#9CA3AF"
+                tickFormatter={(v) => v.toFixed(0)}
+              />
+              <YAxis stroke="#9CA3AF" unit="%" domain={['auto', 'auto']} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+                labelFormatter={(v) => `Strike ${Number(v).toFixed(2)}`}
+                formatter={(value) => (value === null ? 'N/A' : `${value.toFixed(2)}%`)}
+              />
+              <Legend />
+              {currentPrice && <ReferenceLine x={currentPrice} stroke="#FFFFFF" strokeWidth={2} />}
+              <Scatter data={market('PUT')} dataKey="iv" name="Put (OTM)" fill="#EF4444" />
+              <Scatter data={market('CALL')} dataKey="iv" name="Call (OTM)" fill="#10B981" />
+              <Line data={fittedCurve(slice)} dataKey="iv" name="SVI Fit" stroke="#8B5CF6" strokeWidth={2} dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+          <div className="grid grid-cols-3 gap-2 text-xs text-gray-400 mt-2">
+            <span>Fit error: {formatPercent(slice.ivRmse)} RMS</span>
+            <span className={slice.butterfly.arbitrageFree ? 'text-green-400' : 'text-red-400'}>
+              {slice.butterfly.arbitrageFree ? 'Butterfly-free' : `Butterfly arbitrage at ${slice.butterfly.violations.length} points`}
+            </span>
+            <span>{slice.points.length} quotes</span>
+            <span className="col-span-3">
+              a {a.toFixed(4)} · b {b.toFixed(4)} · ρ {rho.toFixed(3)} · m {m.toFixed(4)} · σ {sigma.toFixed(4)}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-400 mt-2">
+        Raw SVI fitted per expiration to out-of-the-money IVs in log forward moneyness. Butterfly arbitrage means a negative implied density; calendar arbitrage, total variance falling with maturity.
+        {calendarViolations.length > 0 && ` Calendar: ${calendarViolations.map(v => `${v.from} > ${v.to}`).join(', ')}.`}
+        {skipped.length > 0 && ` ${skipped.length} expirations with too few quotes left out.`}
+      </p>
+    </div>
+  );
+};
+
+export default VolSurfacePanel;
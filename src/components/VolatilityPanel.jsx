@@ -0,0 +1,105 @@
+import React from 'react';
+import { formatPercent } from '../utils/formatters';
+import { REALIZED_VOL_ESTIMATORS } from '../utils/realizedVolatility';
+
+const HV_WINDOWS = [10, 20, 30, 60];
+
+// Estimator/window pickers plus every estimator's reading for comparison
+const RealizedVolControls = ({ realizedVols, estimator, onEstimatorChange, hvWindow, onWindowChange }) => (
+  <div className="mt-4">
+    <div className="flex gap-2 mb-2">
+      <select
+        value={estimator}
+        onChange={(e) => onEstimatorChange(e.target.value)}
+        className="flex-1 bg-gray-700 text-white text-sm rounded px-2 py-1"
+      >
+        {Object.entries(REALIZED_VOL_ESTIMATORS).map(([key, label]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <select
+        value={hvWindow}
+        onChange={(e) => onWindowChange(Number(e.target.value))}
+        className="bg-gray-700 text-white text-sm rounded px-2 py-1"
+      >
+        {HV_WINDOWS.map(w => (
+          <option key={w} value={w}>{w} days</option>
+        ))}
+      </select>
+    </div>
+    <div className="grid grid-cols-2 gap-1 text-xs">
+      {Object.entries(REALIZED_VOL_ESTIMATORS).map(([key, label]) => (
+        <div
+          key={key}
+          className={
+            key === estimator
+              ? 'flex justify-between px-2 py-1 rounded bg-blue-600/20 text-blue-300'
+              : 'flex justify-between px-2 py-1 rounded text-gray-400'
+          }
+        >
+          <span>{label}</span>
+          <span>{formatPercent(realizedVols?.[key])}</span>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+/**
+ * Implied vs realized volatility and put/call positioning from calculateVolatilityMetrics
+ */
+const VolatilityPanel = ({ volIndexLabel = 'VIX', volMetrics, realizedVols, estimator, onEstimatorChange, hvWindow, onWindowChange }) => {
+  const controls = (
+    <RealizedVolControls
+      realizedVols={realizedVols}
+      estimator={estimator}
+      onEstimatorChange={onEstimatorChange}
+      hvWindow={hvWindow}
+      onWindowChange={onWindowChange}
+    />
+  );
+
+  if (!volMetrics) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-6">
+        <h2 className="text-xl font-semibold mb-2">Volatility</h2>
+        <p className="text-gray-400">No options chain loaded - implied volatility metrics unavailable.</p>
+        {controls}
+      </div>
+    );
+  }
+
+  const rows = [
+    { label: 'ATM IV', value: formatPercent(volMetrics.atmIV) },
+    {
+      label: `Realized Vol (${REALIZED_VOL_ESTIMATORS[estimator]}, ${hvWindow})`,
+      value: formatPercent(volMetrics.historicalVol)
+    },
+    {
+      label: 'IV - HV Spread',
+      value: formatPercent(volMetrics.ivHVSpread),
+      className: volMetrics.ivHVSpread === null ? null : volMetrics.ivHVSpread > 0 ? 'text-red-400' : 'text-green-400'
+    },
+    { label: 'Put Skew (OTM put - call IV)', value: formatPercent(volMetrics.ivSkew) },
+    { label: 'P/C Ratio (Volume)', value: volMetrics.pcrVolume !== null ? volMetrics.pcrVolume.toFixed(2) : 'N/A' },
+    { label: 'P/C Ratio (OI)', value: volMetrics.pcrOI.toFixed(2) },
+    { label: volIndexLabel, value: volMetrics.vixLevel ? volMetrics.vixLevel.toFixed(2) : 'N/A' }
+  ];
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-4">Volatility</h2>
+      <div className="space-y-2">
+        {rows.map(row => (
+          <div key={row.label} className="flex justify-between items-center p-3 bg-gray-700/50 rounded">
+            <span className="text-gray-300">{row.label}</span>
+            <span className={`font-bold ${row.className || 'text-white'}`}>{row.value}</span>
+          </div>
+        ))}
+      </div>
+      {controls}
+    </div>
+  );
+};
+
+export default VolatilityPanel;
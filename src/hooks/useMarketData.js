@@ -0,0 +1,302 @@
+// src/hooks/useMarketData.js
+// Container-level data loading - quotes, history, daily bars and options chain for the dashboard
+
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import {
+  fetchCurrentPrices,
+  fetchHistoricalData,
+  fetchOptionsChain,
+  TIMEFRAMES,
+  DEFAULT_CHAIN_SELECTION
+} from '../utils/marketData';
+import { DEFAULT_SYMBOL, getSymbolConfig } from '../utils/symbols';
+import { getMarketSession, nextSessionChange } from '../utils/marketCalendar';
+import { recordSnapshot } from '../utils/snapshotStore';
+import { withImpliedVols } from '../utils/optionsCalculations';
+import {
+  createEventSourceStream,
+  streamUrl,
+  applyQuoteTick,
+  applyOptionUpdates
+} from '../utils/quoteStream';
+
+const DEFAULT_REFRESH_MS = 60000;
+// Pre-market and after-hours quotes move, but slowly
+const EXTENDED_REFRESH_MS = 5 * 60000;
+// Longest single timer, so a sleeping laptop re-checks the session on wake
+const MAX_TIMER_MS = 60 * 60000;
+
+// Enough daily bars for the slowest indicator on screen: SMA 50 needs 50,
+// plus warm-up for the 26-period EMA and the 14-bar rolling correlation
+const DEFAULT_HISTORY = TIMEFRAMES['1D'];
+
+// Daily bars behind realized vol, loaded whatever the chart timeframe; a
+// year covers the longest HV window several times over
+const DAILY_HISTORY = { range: '1y', interval: '1d' };
+
+const initialFeed = { status: 'loading', data: null, error: null, updatedAt: null };
+
+// Near-dated expirations carry most of the gamma, and each streamed one is
+// polled on every server tick
+const STREAM_EXPIRATIONS = 2;
+
+const liveStream = (request) => createEventSourceStream(streamUrl(request));
+
+/**
+ * Run one loader and mirror its lifecycle into a feed state
+ *
+ * `isCurrent` lets a caller drop a response that a newer request for the
+ * same feed has superseded.
+ */
+const loadFeed = async (setFeed, loader, isCurrent = () => true) => {
+  setFeed(prev => ({ ...prev, status: prev.data ? 'refreshing' : 'loading', error: null }));
+
+  try {
+    const data = await loader();
+    if (isCurrent()) setFeed({ status: 'ready', data, error: null, updatedAt: new Date() });
+    return data;
+  } catch (error) {
+    console.error('❌ Feed load failed:', error);
+    if (isCurrent()) setFeed(prev => ({ ...prev, status: 'error', error: error.message }));
+    return null;
+  }
+};
+
+/**
+ * Load quotes, then history, daily bars and the options chain, and keep them fresh:
+ * every `refreshInterval` in the regular session, every few minutes pre-
+ * and after-market, and once at each session change so closing prints
+ * land. Nothing polls while the exchange is closed. Switching `symbol` clears every feed and
+ * reloads them for the new underlying.
+ *
+ * `stream` turns a stream request ({ symbols, optionsRoot, expirations })
+ * into a quoteStream source whose ticks update quotes and the chain between
+ * refreshes. The default live SSE feed only runs while the market is open;
+ * a supplied source (e.g. createReplayStream, kept referentially stable)
+ * runs regardless. Pass null to disable streaming.
+ *
+ * `history` follows the requested window; `daily` is always DAILY_HISTORY,
+ * for analytics that mustn't move with the chart timeframe.
+ *
+ * Each feed is `{ status, data, error, updatedAt }` where status is one of
+ * 'loading' | 'refreshing' | 'ready' | 'error'.
+ */
+export const useMarketData = ({
+  symbol = DEFAULT_SYMBOL,
+  refreshInterval = DEFAULT_REFRESH_MS,
+  history: { range, interval } = DEFAULT_HISTORY,
+  chain = DEFAULT_CHAIN_SELECTION,
+  stream = liveStream
+} = {}) => {
+  const [quotes, setQuotes] = useState(initialFeed);
+  const [history, setHistory] = useState(initialFeed);
+  const [daily, setDaily] = useState(initialFeed);
+  const [options, setOptions] = useState(initialFeed);
+  const [session, setSession] = useState(() => getMarketSession());
+  const marketOpen = session === 'regular';
+  const [streaming, setStreaming] = useState(false);
+  const inFlight = useRef(false);
+  const spot = useRef({ spy: null, vix: null, live: false });
+  const currentSymbol = useRef(symbol);
+  currentSymbol.current = symbol;
+  const historyWindow = useRef({ range, interval });
+  const historyRequest = useRef(0);
+  historyWindow.current = { range, interval };
+  const chainSelection = useRef(chain);
+  chainSelection.current = chain;
+  const chainRequest = useRef(0);
+
+  const loadHistory = useCallback(() => {
+    const request = ++historyRequest.current;
+    const requested = currentSymbol.current;
+    const { spy, vix } = spot.current;
+    return loadFeed(
+      setHistory,
+      () => fetchHistoricalData(spy, vix, { ...historyWindow.current, symbol: requested }),
+      () => request === historyRequest.current && requested === currentSymbol.current
+    );
+  }, []);
+
+  const loadDaily = useCallback(() => {
+    const requested = currentSymbol.current;
+    const { spy, vix } = spot.current;
+    return loadFeed(
+      setDaily,
+      () => fetchHistoricalData(spy, vix, { ...DAILY_HISTORY, symbol: requested }),
+      () => requested === currentSymbol.current
+    );
+  }, []);
+
+  const loadOptions = useCallback(() => {
+    const request = ++chainRequest.current;
+    const requested = currentSymbol.current;
+    const { spy, vix, live } = spot.current;
+    return loadFeed(
+      setOptions,
+      () => fetchOptionsChain(spy, vix, {
+        selection: chainSelection.current,
+        symbol: requested,
+        liveSpot: live ? spy : null
+      }),
+      () => request === chainRequest.current && requested === currentSymbol.current
+    );
+  }, []);
+
+  const refresh = useCallback(async () => {
+    if (inFlight.current) return;
+    inFlight.current = true;
+
+    const requested = currentSymbol.current;
+    const isCurrent = () => requested === currentSymbol.current;
+
+    try {
+      const prices = await loadFeed(setQuotes, () => fetchCurrentPrices(requested), isCurrent);
+      if (!isCurrent()) return;
+      spot.current = {
+        spy: prices?.spy ?? null,
+        vix: prices?.vix ?? null,
+        live: Boolean(prices?.status?.spy)
+      };
+
+      // History and chain need the spot/VIX for their simulated fallbacks;
+      // the chain also solves IVs against a live spot
+      const [, , loadedChain] = await Promise.all([
+        loadHistory(),
+        loadDaily(),
+        loadOptions()
+      ]);
+
+      // Record today's chain metrics for the history series; only live
+      // quotes count, never the fallback spot
+      if (!isCurrent()) return;
+      await recordSnapshot(
+        requested,
+        loadedChain,
+        prices?.status.spy ? prices.spy : null,
+        prices?.status.skew ? prices.skew : null
+      );
+    } finally {
+      inFlight.current = false;
+      // The symbol changed mid-refresh; that switch's own refresh was
+      // skipped as in-flight, so run it now
+      if (!isCurrent()) refresh();
+    }
+  }, [loadHistory, loadDaily, loadOptions]);
+
+  const firstSymbol = useRef(true);
+  useEffect(() => {
+    if (firstSymbol.current) {
+      firstSymbol.current = false;
+      return;
+    }
+    spot.current = { spy: null, vix: null, live: false };
+    setQuotes(initialFeed);
+    setHistory(initialFeed);
+    setDaily(initialFeed);
+    setOptions(initialFeed);
+    refresh();
+  }, [symbol, refresh]);
+
+  // A new history window (timeframe switch) only needs the history feed
+  const firstWindow = useRef(true);
+  useEffect(() => {
+    if (firstWindow.current) {
+      firstWindow.current = false;
+      return;
+    }
+    loadHistory();
+  }, [range, interval, loadHistory]);
+
+  // Likewise a new expiration selection only reloads the chain; keyed by
+  // value so callers can pass an inline object
+  const chainKey = JSON.stringify(chain);
+  const firstChain = useRef(true);
+  useEffect(() => {
+    if (firstChain.current) {
+      firstChain.current = false;
+      return;
+    }
+    loadOptions();
+  }, [chainKey, loadOptions]);
+
+  useEffect(() => {
+    refresh();
+
+    let timer = null;
+    let lastSession = getMarketSession();
+
+    const schedule = () => {
+      const now = new Date();
+      const current = getMarketSession(now);
+      const poll = current === 'regular' ? refreshInterval
+        : current === 'closed' ? Infinity
+        : EXTENDED_REFRESH_MS;
+      const change = nextSessionChange(now);
+      // A second past the boundary so the new session is the one we see
+      const untilChange = change ? change.getTime() - now.getTime() + 1000 : Infinity;
+      timer = setTimeout(tick, Math.min(poll, untilChange, MAX_TIMER_MS));
+    };
+
+    const tick = () => {
+      const current = getMarketSession();
+      setSession(current);
+      if (current !== 'closed' || current !== lastSession) refresh();
+      lastSession = current;
+      schedule();
+    };
+
+    schedule();
+    return () => clearTimeout(timer);
+  }, [refresh, refreshInterval]);
+
+  // Subscribe once quotes (and ideally the chain) are in; keyed by value so
+  // a refresh that returns the same tickers/expirations keeps the stream
+  const quoteTickers = Object.values(quotes.data?.quotes || {})
+    .map(q => q.symbol)
+    .join(',');
+  const streamExpirations = useMemo(() => {
+    if (!options.data?.length || options.data.some(opt => opt.simulated)) return '';
+    return [...new Set(options.data.map(opt => opt.expiration))]
+      .sort()
+      .slice(0, STREAM_EXPIRATIONS)
+      .join(',');
+  }, [options.data]);
+
+  useEffect(() => {
+    if (!stream || !quoteTickers) return;
+    if (stream === liveStream && !marketOpen) return;
+
+    const requested = symbol;
+    const { dividendYield } = getSymbolConfig(symbol);
+    const subscribe = stream({
+      symbols: quoteTickers.split(','),
+      optionsRoot: getSymbolConfig(symbol).options,
+      expirations: streamExpirations ? streamExpirations.split(',') : []
+    });
+
+    const unsubscribe = subscribe(({ type, data }) => {
+      if (requested !== currentSymbol.current) return;
+
+      if (type === 'quote') {
+        setQuotes(prev => prev.data
+          ? { ...prev, data: applyQuoteTick(prev.data, data), updatedAt: new Date() }
+          : prev);
+      } else if (type === 'options') {
+        const { spy, live } = spot.current;
+        const now = new Date();
+        const prepare = live ? (c) => withImpliedVols(c, spy, now, { dividendYield }) : undefined;
+        setOptions(prev => prev.data
+          ? { ...prev, data: applyOptionUpdates(prev.data, data, prepare), updatedAt: new Date() }
+          : prev);
+      }
+    });
+    setStreaming(true);
+
+    return () => {
+      unsubscribe();
+      setStreaming(false);
+    };
+  }, [stream, marketOpen, symbol, quoteTickers, streamExpirations]);
+
+  return { quotes, history, daily, options, session, marketOpen, streaming, refresh };
+};
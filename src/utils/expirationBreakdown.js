@@ -0,0 +1,108 @@
+// src/utils/expirationBreakdown.js
+// Positioning split by expiration - OI, dealer GEX and max pain per expiry,
+// and how much dealer gamma each expiration takes with it when it rolls off
+
+import { calculateDealerMetrics, timeToExpiry } from './optionsCalculations';
+
+/**
+ * Strike where option holders' payout at expiry is smallest
+ * @param {Array} contracts - Contracts of one expiration, or of several for
+ *   their combined max pain
+ * @returns {number|null}
+ */
+export const calculateMaxPain = (contracts) => {
+  const strikes = [...new Set(contracts.map(c => c.strike))];
+  let maxPain = null;
+  let minPayout = Infinity;
+
+  strikes.forEach(settle => {
+    const payout = contracts.reduce((sum, c) => {
+      const intrinsic = c.type === 'CALL' ? settle - c.strike : c.strike - settle;
+      return sum + Math.max(0, intrinsic) * (c.oi || 0);
+    }, 0);
+    if (payout < minPayout) {
+      minPayout = payout;
+      maxPain = settle;
+    }
+  });
+  return maxPain;
+};
+
+/**
+ * Per-expiration breakdown of a chain
+ *
+ * Expired contracts (see timeToExpiry) are left out.
+ * @param {Array} options - Normalized option contracts
+ * @param {number} spy - Spot price
+ * @param {Object} [opts] - Passed to calculateDealerMetrics (now, model,
+ *   weights, rate, dividendYield)
+ * @returns {Object|null} {
+ *   expirations: [{ expiration, daysToExp, callOI, putOI, netGEX, maxPain,
+ *     gexBefore, gexAfter }] in date order - gexBefore/gexAfter are total
+ *     dealer GEX while it is listed and once it (and everything before it)
+ *     has expired,
+ *   strikes: [{ strike, oi, callOI, putOI, gex }] - each keyed by expiration,
+ *   totalGEX
+ * }
+ */
+export const calculateExpirationBreakdown = (options, spy, opts = {}) => {
+  if (!options?.length || !spy) return null;
+
+  const now = opts.now || new Date();
+  const groups = {};
+  options.forEach(opt => {
+    if (timeToExpiry(opt, now) <= 0) return;
+    (groups[opt.expiration] = groups[opt.expiration] || []).push(opt);
+  });
+
+  const strikeMap = {};
+  const strikeRow = (strike) => {
+    if (!strikeMap[strike]) strikeMap[strike] = { strike, oi: {}, callOI: {}, putOI: {}, gex: {} };
+    return strikeMap[strike];
+  };
+
+  const expirations = Object.keys(groups).sort().map(expiration => {
+    const contracts = groups[expiration];
+    const metrics = calculateDealerMetrics(contracts, spy, { ...opts, now });
+
+    let callOI = 0;
+    let putOI = 0;
+    contracts.forEach(c => {
+      const oi = c.oi || 0;
+      const row = strikeRow(c.strike);
+      const side = c.type === 'CALL' ? row.callOI : row.putOI;
+      if (c.type === 'CALL') callOI += oi;
+      else putOI += oi;
+      side[expiration] = (side[expiration] || 0) + oi;
+      row.oi[expiration] = (row.oi[expiration] || 0) + oi;
+    });
+    metrics?.strikes.forEach(s => {
+      strikeRow(s.strike).gex[expiration] = s.netGEX;
+    });
+
+    return {
+      expiration,
+      daysToExp: contracts[0].daysToExp,
+      callOI,
+      putOI,
+      netGEX: metrics?.totalGEX ?? 0,
+      maxPain: calculateMaxPain(contracts)
+    };
+  });
+  if (expirations.length === 0) return null;
+
+  // Roll-off: each expiration removes its GEX from whatever is still listed
+  const totalGEX = expirations.reduce((sum, e) => sum + e.netGEX, 0);
+  let remaining = totalGEX;
+  expirations.forEach(e => {
+    e.gexBefore = remaining;
+    remaining -= e.netGEX;
+    e.gexAfter = remaining;
+  });
+
+  return {
+    expirations,
+    strikes: Object.values(strikeMap).sort((a, b) => a.strike - b.strike),
+    totalGEX
+  };
+};
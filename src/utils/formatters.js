@@ -0,0 +1,39 @@
+// src/utils/formatters.js
+// Display formatting shared by the dashboard panels
+
+const compactFormatter = new Intl.NumberFormat('en-US', {
+  notation: 'compact',
+  maximumFractionDigits: 2
+});
+
+/**
+ * Compact number (1.2K, 3.4M, -5.6B); 'N/A' for missing values
+ */
+export const formatCompact = (value) => {
+  if (value === null || value === undefined || !isFinite(value)) return 'N/A';
+  return compactFormatter.format(value);
+};
+
+/**
+ * Compact dollar amount (-$1.2B); 'N/A' for missing values
+ */
+export const formatCompactDollars = (value) => {
+  if (value === null || value === undefined || !isFinite(value)) return 'N/A';
+  return `${value < 0 ? '-' : ''}$${compactFormatter.format(Math.abs(value))}`;
+};
+
+/**
+ * Dollar price with fixed decimals
+ */
+export const formatPrice = (value, digits = 2) => {
+  if (value === null || value === undefined || !isFinite(value)) return 'N/A';
+  return `$${value.toFixed(digits)}`;
+};
+
+/**
+ * Decimal fraction as a percentage (0.153 -> 15.30%)
+ */
+export const formatPercent = (value, digits = 2) => {
+  if (value === null || value === undefined || !isFinite(value)) return 'N/A';
+  return `${(value * 100).toFixed(digits)}%`;
+};
@@ -0,0 +1,320 @@
+// src/utils/marketCalendar.js
+// NYSE trading calendar - holidays, early closes and session times in New York time
+
+const TIME_ZONE = 'America/New_York';
+
+// Session boundaries as minutes after midnight ET
+const PRE_MARKET_OPEN = 4 * 60;
+const REGULAR_OPEN = 9 * 60 + 30;
+const REGULAR_CLOSE = 16 * 60;
+const EARLY_CLOSE = 13 * 60;
+const AFTER_HOURS_CLOSE = 20 * 60;
+const EARLY_AFTER_HOURS_CLOSE = 17 * 60;
+// Index and broad ETF options keep trading 15 minutes past the stock close
+const LATE_CLOSE_MINUTES = 15;
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+export const REGULAR_SESSION_MINUTES = REGULAR_CLOSE - REGULAR_OPEN;
+
+export const SESSION_LABELS = {
+  pre: 'Pre-market',
+  regular: 'Regular session',
+  after: 'After hours',
+  closed: 'Closed'
+};
+
+const easternFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * New York wall-clock parts for an instant
+ * @returns {{ date: string, minutes: number }} YYYY-MM-DD and minutes after midnight
+ */
+export const easternParts = (instant = new Date()) => {
+  const parts = {};
+  easternFormat.formatToParts(new Date(instant)).forEach(p => { parts[p.type] = p.value; });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute) + Number(parts.second) / 60
+  };
+};
+
+/**
+ * The instant a New York wall-clock time occurs
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes after midnight ET
+ */
+export const easternTime = (date, minutes) => {
+  const [y, m, d] = date.split('-').map(Number);
+  const wanted = Date.UTC(y, m - 1, d, 0, minutes);
+  // How far New York wall time is behind UTC at an instant (EST/EDT)
+  const offsetAt = (t) => {
+    const wall = easternParts(t);
+    const [wy, wm, wd] = wall.date.split('-').map(Number);
+    return t - Date.UTC(wy, wm - 1, wd, 0, wall.minutes);
+  };
+  // Re-check the offset at the first estimate: on DST change days the
+  // wanted time can be on the other side of the switch from the guess
+  const estimate = wanted + offsetAt(wanted);
+  return new Date(wanted + offsetAt(estimate));
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+const isoDate = (y, m, d) => `${y}-${pad(m)}-${pad(d)}`;
+
+export const addDays = (date, days) => {
+  const [y, m, d] = date.split('-').map(Number);
+  const next = new Date(Date.UTC(y, m - 1, d + days));
+  return isoDate(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate());
+};
+
+const weekdayOf = (date) => {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+};
+
+// nth (1-based) weekday of a month; n = -1 for the last one
+const nthWeekday = (year, month, weekday, n) => {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return isoDate(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+  return isoDate(year, month, lastDay - ((last - weekday + 7) % 7));
+};
+
+// Anonymous Gregorian algorithm
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return isoDate(year, month, day);
+};
+
+// Saturday holidays move to Friday, Sunday ones to Monday
+const observed = (date) => {
+  const weekday = weekdayOf(date);
+  if (weekday === 6) return addDays(date, -1);
+  if (weekday === 0) return addDays(date, 1);
+  return date;
+};
+
+const holidayCache = {};
+
+/**
+ * NYSE full-day closures for a year, keyed by YYYY-MM-DD
+ */
+export const holidaysForYear = (year) => {
+  if (holidayCache[year]) return holidayCache[year];
+
+  const holidays = {};
+  // A Saturday New Year's Day is not observed on the Friday before (Rule 7.2)
+  const newYear = isoDate(year, 1, 1);
+  if (weekdayOf(newYear) !== 6) holidays[observed(newYear)] = "New Year's Day";
+  holidays[nthWeekday(year, 1, 1, 3)] = 'Martin Luther King Jr. Day';
+  holidays[nthWeekday(year, 2, 1, 3)] = "Washington's Birthday";
+  holidays[addDays(easterSunday(year), -2)] = 'Good Friday';
+  holidays[nthWeekday(year, 5, 1, -1)] = 'Memorial Day';
+  if (year >= 2022) holidays[observed(isoDate(year, 6, 19))] = 'Juneteenth';
+  holidays[observed(isoDate(year, 7, 4))] = 'Independence Day';
+  holidays[nthWeekday(year, 9, 1, 1)] = 'Labor Day';
+  holidays[nthWeekday(year, 11, 4, 4)] = 'Thanksgiving Day';
+  holidays[observed(isoDate(year, 12, 25))] = 'Christmas Day';
+
+  holidayCache[year] = holidays;
+  return holidays;
+};
+
+/**
+ * Holiday name for a YYYY-MM-DD date, or null
+ */
+export const holidayName = (date) => holidaysForYear(Number(date.slice(0, 4)))[date] || null;
+
+export const isTradingDay = (date) => {
+  const weekday = weekdayOf(date);
+  return weekday !== 0 && weekday !== 6 && !holidayName(date);
+};
+
+// 1:00pm closes: July 3rd, the day after Thanksgiving and Christmas Eve,
+// whenever those are trading days
+const isEarlyClose = (date) => {
+  if (!isTradingDay(date)) return false;
+  const year = Number(date.slice(0, 4));
+  return date === isoDate(year, 7, 3)
+    || date === addDays(nthWeekday(year, 11, 4, 4), 1)
+    || date === isoDate(year, 12, 24);
+};
+
+/**
+ * Session times for a trading day, or null when the exchange is closed
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{ date, earlyClose, preOpen, open, close, afterClose }|null} Instants as Dates
+ */
+export const sessionFor = (date) => {
+  if (!isTradingDay(date)) return null;
+  const earlyClose = isEarlyClose(date);
+  return {
+    date,
+    earlyClose,
+    preOpen: easternTime(date, PRE_MARKET_OPEN),
+    open: easternTime(date, REGULAR_OPEN),
+    close: easternTime(date, earlyClose ? EARLY_CLOSE : REGULAR_CLOSE),
+    afterClose: easternTime(date, earlyClose ? EARLY_AFTER_HOURS_CLOSE : AFTER_HOURS_CLOSE)
+  };
+};
+
+/**
+ * Which session an instant falls in: 'pre' | 'regular' | 'after' | 'closed'
+ */
+export const getMarketSession = (now = new Date()) => {
+  const session = sessionFor(easternParts(now).date);
+  if (!session) return 'closed';
+
+  const t = new Date(now).getTime();
+  if (t < session.preOpen.getTime()) return 'closed';
+  if (t < session.open.getTime()) return 'pre';
+  if (t < session.close.getTime()) return 'regular';
+  if (t < session.afterClose.getTime()) return 'after';
+  return 'closed';
+};
+
+/**
+ * Start of the next regular session strictly after `now`
+ */
+export const nextRegularOpen = (now = new Date()) => {
+  let date = easternParts(now).date;
+  for (let i = 0; i < 14; i++, date = addDays(date, 1)) {
+    const session = sessionFor(date);
+    if (session && session.open.getTime() > new Date(now).getTime()) return session.open;
+  }
+  return null;
+};
+
+/**
+ * Status line for the current session, e.g.
+ * 'Closed · Thanksgiving Day · opens Fri 9:30 AM ET' or
+ * 'Regular session · early close 1:00 PM ET'
+ */
+export const describeSession = (now = new Date()) => {
+  const { date } = easternParts(now);
+  const session = getMarketSession(now);
+  const parts = [SESSION_LABELS[session]];
+
+  const holiday = holidayName(date);
+  if (holiday) parts.push(holiday);
+  else if (isEarlyClose(date) && session !== 'closed') parts.push('early close 1:00 PM ET');
+
+  const open = session === 'closed' || session === 'pre' ? nextRegularOpen(now) : null;
+  if (open) {
+    const when = open.toLocaleString('en-US', { timeZone: TIME_ZONE, weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    parts.push(`opens ${when} ET`);
+  }
+  return parts.join(' · ');
+};
+
+/**
+ * Next instant the session label changes (pre-market open, open, close,
+ * after-hours close), or null if none within two weeks
+ */
+export const nextSessionChange = (now = new Date()) => {
+  const t = new Date(now).getTime();
+  let date = easternParts(now).date;
+  for (let i = 0; i < 14; i++, date = addDays(date, 1)) {
+    const session = sessionFor(date);
+    if (!session) continue;
+    const next = [session.preOpen, session.open, session.close, session.afterClose]
+      .find(boundary => boundary.getTime() > t);
+    if (next) return next;
+  }
+  return null;
+};
+
+/**
+ * Regular-session minutes between two instants
+ */
+export const tradingMinutesBetween = (from, to) => {
+  const start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+  if (end <= start) return 0;
+
+  let minutes = 0;
+  const last = easternParts(end).date;
+  for (let date = easternParts(start).date; date <= last; date = addDays(date, 1)) {
+    const session = sessionFor(date);
+    if (!session) continue;
+    const overlap = Math.min(end, session.close.getTime()) - Math.max(start, session.open.getTime());
+    if (overlap > 0) minutes += overlap / 60000;
+  }
+  return minutes;
+};
+
+/**
+ * When an expiration stops trading: the regular close on its date (1:00pm
+ * on early-close days), or 15 minutes later for options that trade to
+ * 4:15pm (SPY, QQQ, IWM, PM-settled SPX). Non-trading dates fall back to 4:00pm.
+ * @param {string} expiration - YYYY-MM-DD
+ * @param {Object} [opts]
+ * @param {boolean} [opts.lateClose=false] - Options trade until 4:15pm ET
+ */
+export const expirationClose = (expiration, { lateClose = false } = {}) => {
+  const close = sessionFor(expiration)?.close || easternTime(expiration, REGULAR_CLOSE);
+  return lateClose ? new Date(close.getTime() + LATE_CLOSE_MINUTES * 60000) : close;
+};
+
+/**
+ * Years (365-day) from `now` until an instant, zero once it has passed
+ */
+export const yearsUntil = (instant, now = new Date()) =>
+  Math.max(0, (new Date(instant).getTime() - new Date(now).getTime()) / YEAR_MS);
+
+/**
+ * Time left on an expiration
+ * @param {string} expiration - YYYY-MM-DD
+ * @param {Date} [now]
+ * @param {Object} [opts] - See expirationClose
+ * @returns {{ calendarDays: number, tradingMinutes: number, years: number, expiresAt: Date }}
+ *   Whole ET calendar days from today to the expiration date (0 on the day),
+ *   session minutes left before it stops trading, the same span in years
+ *   of wall-clock time for pricing, and the instant it stops trading
+ */
+export const timeToExpiration = (expiration, now = new Date(), { lateClose = false } = {}) => {
+  const today = easternParts(now).date;
+  const calendarDays = Math.round(
+    (Date.parse(`${expiration}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / 86400000
+  );
+  const regularClose = expirationClose(expiration);
+  const expiresAt = expirationClose(expiration, { lateClose });
+  // The 4:15pm tail falls outside the regular session tradingMinutesBetween counts
+  const lateMinutes = Math.max(
+    0,
+    expiresAt.getTime() - Math.max(new Date(now).getTime(), regularClose.getTime())
+  ) / 60000;
+
+  return {
+    calendarDays,
+    tradingMinutes: tradingMinutesBetween(now, regularClose) + lateMinutes,
+    years: yearsUntil(expiresAt, now),
+    expiresAt
+  };
+};
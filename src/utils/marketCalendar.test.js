@@ -0,0 +1,196 @@
+import { describe, it, expect } from 'vitest';
+import {
+  holidayName,
+  isTradingDay,
+  sessionFor,
+  easternTime,
+  getMarketSession,
+  nextSessionChange,
+  tradingMinutesBetween,
+  timeToExpiration
+} from './marketCalendar';
+
+// Instants are written in UTC: ET is UTC-4 in daylight time (EDT) and
+// UTC-5 in standard time (EST)
+const at = (iso) => new Date(iso);
+
+describe('holidays', () => {
+  it.each([
+    ['2025-04-18', 'Good Friday'],
+    ['2026-04-03', 'Good Friday'],
+    ['2027-03-26', 'Good Friday'],
+    ['2026-06-19', 'Juneteenth'],
+    // Sunday Juneteenth moves to Monday, Saturday to Friday
+    ['2022-06-20', 'Juneteenth'],
+    ['2027-06-18', 'Juneteenth'],
+    // Saturday July 4th, 2026 is observed on Friday the 3rd
+    ['2026-07-03', 'Independence Day'],
+    ['2026-11-26', 'Thanksgiving Day'],
+    ['2022-12-26', 'Christmas Day'],
+    ['2027-12-24', 'Christmas Day'],
+    ['2026-01-19', 'Martin Luther King Jr. Day'],
+    ['2026-05-25', 'Memorial Day']
+  ])('%s is %s', (date, name) => {
+    expect(holidayName(date)).toBe(name);
+    expect(isTradingDay(date)).toBe(false);
+  });
+
+  it.each([
+    // Before Juneteenth became an exchange holiday
+    ['2021-06-18'],
+    // A Saturday New Year's Day is not observed on the Friday before
+    ['2021-12-31'],
+    // Easter Monday and the observed holidays' actual dates that are weekdays
+    ['2026-04-06'],
+    ['2022-06-17'],
+    ['2027-06-21']
+  ])('%s is a trading day', (date) => {
+    expect(holidayName(date)).toBeNull();
+    expect(isTradingDay(date)).toBe(true);
+  });
+
+  it('closes on weekends', () => {
+    expect(isTradingDay('2026-10-17')).toBe(false);
+    expect(isTradingDay('2026-10-18')).toBe(false);
+  });
+});
+
+describe('sessionFor', () => {
+  it.each([
+    // Regular day in daylight time
+    ['2026-10-16', false, '2026-10-16T13:30:00Z', '2026-10-16T20:00:00Z', '2026-10-17T00:00:00Z'],
+    // Day after Thanksgiving and Christmas Eve: 1:00pm close, 5:00pm after hours
+    ['2026-11-27', true, '2026-11-27T14:30:00Z', '2026-11-27T18:00:00Z', '2026-11-27T22:00:00Z'],
+    ['2026-12-24', true, '2026-12-24T14:30:00Z', '2026-12-24T18:00:00Z', '2026-12-24T22:00:00Z'],
+    // July 3rd closes early unless it is the observed Independence Day
+    ['2025-07-03', true, '2025-07-03T13:30:00Z', '2025-07-03T17:00:00Z', '2025-07-03T21:00:00Z'],
+    // Either side of the March DST change (Sunday 2026-03-08)
+    ['2026-03-06', false, '2026-03-06T14:30:00Z', '2026-03-06T21:00:00Z', '2026-03-07T01:00:00Z'],
+    ['2026-03-09', false, '2026-03-09T13:30:00Z', '2026-03-09T20:00:00Z', '2026-03-10T00:00:00Z'],
+    // Either side of the November DST change (Sunday 2026-11-01)
+    ['2026-10-30', false, '2026-10-30T13:30:00Z', '2026-10-30T20:00:00Z', '2026-10-31T00:00:00Z'],
+    ['2026-11-02', false, '2026-11-02T14:30:00Z', '2026-11-02T21:00:00Z', '2026-11-03T01:00:00Z']
+  ])('%s', (date, earlyClose, open, close, afterClose) => {
+    const session = sessionFor(date);
+    expect(session.earlyClose).toBe(earlyClose);
+    expect(session.open.toISOString()).toBe(at(open).toISOString());
+    expect(session.close.toISOString()).toBe(at(close).toISOString());
+    expect(session.afterClose.toISOString()).toBe(at(afterClose).toISOString());
+  });
+
+  it('has no session on holidays or on an observed July 3rd', () => {
+    expect(sessionFor('2026-04-03')).toBeNull();
+    expect(sessionFor('2026-07-03')).toBeNull();
+  });
+});
+
+describe('easternTime on DST transition days', () => {
+  it.each([
+    // 2:00am doesn't exist on 2026-03-08; 4:00am is already EDT
+    ['2026-03-08', 60, '2026-03-08T06:00:00Z'],
+    ['2026-03-08', 4 * 60, '2026-03-08T08:00:00Z'],
+    ['2026-03-08', 16 * 60, '2026-03-08T20:00:00Z'],
+    // Back to EST after 2:00am on 2026-11-01
+    ['2026-11-01', 60, '2026-11-01T05:00:00Z'],
+    ['2026-11-01', 4 * 60, '2026-11-01T09:00:00Z'],
+    ['2026-11-01', 16 * 60, '2026-11-01T21:00:00Z']
+  ])('%s + %d min', (date, minutes, expected) => {
+    expect(easternTime(date, minutes).toISOString()).toBe(at(expected).toISOString());
+  });
+});
+
+describe('getMarketSession', () => {
+  it.each([
+    ['2026-10-16T07:59:00Z', 'closed'],
+    ['2026-10-16T08:00:00Z', 'pre'],
+    ['2026-10-16T13:29:59Z', 'pre'],
+    ['2026-10-16T13:30:00Z', 'regular'],
+    ['2026-10-16T19:59:59Z', 'regular'],
+    ['2026-10-16T20:00:00Z', 'after'],
+    ['2026-10-17T00:00:00Z', 'closed'],
+    // Good Friday
+    ['2026-04-03T14:00:00Z', 'closed'],
+    // Christmas Eve: after hours from 1:00pm, closed from 5:00pm
+    ['2026-12-24T17:59:00Z', 'regular'],
+    ['2026-12-24T18:30:00Z', 'after'],
+    ['2026-12-24T22:30:00Z', 'closed'],
+    // Day after Thanksgiving
+    ['2026-11-27T17:59:00Z', 'regular'],
+    ['2026-11-27T18:00:00Z', 'after'],
+    // First Monday of daylight time opens at 13:30Z, not 14:30Z
+    ['2026-03-09T13:45:00Z', 'regular'],
+    ['2026-03-06T13:45:00Z', 'pre'],
+    // First Monday of standard time
+    ['2026-11-02T13:45:00Z', 'pre'],
+    ['2026-11-02T14:45:00Z', 'regular']
+  ])('%s is %s', (instant, session) => {
+    expect(getMarketSession(at(instant))).toBe(session);
+  });
+});
+
+describe('nextSessionChange', () => {
+  it.each([
+    // Mid-session: the close
+    ['2026-10-14T14:00:00Z', '2026-10-14T20:00:00Z'],
+    // Friday night: Monday's pre-market open
+    ['2026-10-17T00:30:00Z', '2026-10-19T08:00:00Z'],
+    // Over Good Friday
+    ['2026-04-03T00:30:00Z', '2026-04-06T08:00:00Z'],
+    // Christmas Eve after hours end at 5:00pm, then Christmas is skipped
+    ['2026-12-24T18:00:00Z', '2026-12-24T22:00:00Z'],
+    ['2026-12-24T22:00:00Z', '2026-12-28T09:00:00Z'],
+    // Across each DST change
+    ['2026-03-07T17:00:00Z', '2026-03-09T08:00:00Z'],
+    ['2026-10-31T17:00:00Z', '2026-11-02T09:00:00Z']
+  ])('after %s is %s', (instant, expected) => {
+    expect(nextSessionChange(at(instant)).toISOString()).toBe(at(expected).toISOString());
+  });
+});
+
+describe('tradingMinutesBetween', () => {
+  it.each([
+    ['2026-10-16T13:30:00Z', '2026-10-16T20:00:00Z', 390],
+    // Friday 3:00pm to Monday 10:30am ET
+    ['2026-10-16T19:00:00Z', '2026-10-19T14:30:00Z', 120],
+    // Over the March DST weekend, same ET wall times
+    ['2026-03-06T20:00:00Z', '2026-03-09T14:30:00Z', 120],
+    // Thursday 3:00pm through Good Friday to Monday's close
+    ['2026-04-02T19:00:00Z', '2026-04-06T20:00:00Z', 450],
+    // Early close: 11:00am to 1:00pm counts, the rest of the day doesn't
+    ['2026-11-27T16:00:00Z', '2026-11-27T21:00:00Z', 120],
+    ['2026-10-16T20:00:00Z', '2026-10-16T13:30:00Z', 0]
+  ])('%s to %s is %d', (from, to, minutes) => {
+    expect(tradingMinutesBetween(at(from), at(to))).toBeCloseTo(minutes, 9);
+  });
+});
+
+describe('timeToExpiration', () => {
+  it.each([
+    // 0DTE at 3:00pm ET: an hour, plus 15 minutes for 4:15pm products
+    ['2026-10-16', '2026-10-16T19:00:00Z', false, 0, 60, '2026-10-16T20:00:00Z'],
+    ['2026-10-16', '2026-10-16T19:00:00Z', true, 0, 75, '2026-10-16T20:15:00Z'],
+    // Between 4:00pm and 4:15pm only the late-close tail is left
+    ['2026-10-16', '2026-10-16T20:05:00Z', true, 0, 10, '2026-10-16T20:15:00Z'],
+    ['2026-10-16', '2026-10-16T20:05:00Z', false, 0, 0, '2026-10-16T20:00:00Z'],
+    // Late close on an early-close day is 1:15pm
+    ['2026-11-27', '2026-11-27T17:00:00Z', true, 0, 75, '2026-11-27T18:15:00Z'],
+    // Friday afternoon to Monday's expiry
+    ['2026-10-19', '2026-10-16T19:00:00Z', false, 3, 450, '2026-10-19T20:00:00Z'],
+    // Over Good Friday
+    ['2026-04-06', '2026-04-02T19:00:00Z', true, 4, 465, '2026-04-06T20:15:00Z'],
+    // Expired
+    ['2026-10-16', '2026-10-16T21:00:00Z', true, 0, 0, '2026-10-16T20:15:00Z']
+  ])('%s at %s (late close %s)', (expiration, now, lateClose, calendarDays, tradingMinutes, expiresAt) => {
+    const result = timeToExpiration(expiration, at(now), { lateClose });
+    expect(result.calendarDays).toBe(calendarDays);
+    expect(result.tradingMinutes).toBeCloseTo(tradingMinutes, 9);
+    expect(result.expiresAt.toISOString()).toBe(at(expiresAt).toISOString());
+    const expectedYears = Math.max(0, at(expiresAt) - at(now)) / (365 * 24 * 60 * 60 * 1000);
+    expect(result.years).toBeCloseTo(expectedYears, 12);
+  });
+
+  it('counts calendar days in New York, not UTC', () => {
+    // 9:00pm ET Friday is already Saturday in UTC
+    expect(timeToExpiration('2026-10-19', at('2026-10-17T01:00:00Z')).calendarDays).toBe(3);
+  });
+});
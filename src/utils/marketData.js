@@ -1,129 +1,202 @@
 // src/utils/marketData.js
 // Market data fetching utilities - keeps main dashboard clean
 
+import { calculateGreeks, timeToExpiry, withImpliedVols, DEFAULT_RATE } from './optionsCalculations';
+import { loadSnapshots, snapshotFields } from './snapshotStore';
+import { DEFAULT_SYMBOL, getSymbolConfig } from './symbols';
+import {
+  addDays,
+  easternParts,
+  getMarketSession,
+  isTradingDay,
+  timeToExpiration
+} from './marketCalendar';
+
+// Last-resort values when SPY/VIX can't be fetched at all, so the charts
+// still have a scale. Always returned with `fallback: true` so the UI can
+// flag them and the prediction can ignore them. SKEW deliberately has no
+// stand-in: it only feeds a signal, and a guessed value would drive it.
+// Other underlyings have no stand-in either and simply show as unavailable.
+const FALLBACK_QUOTES = { 'SPY': 595.42, '^VIX': 14.23 };
+
+// Quote roles for a symbol. The keys stay `spy`/`vix`/`skew` throughout the
+// dashboard: `spy` is the underlying, `vix` its paired volatility index and
+// `vix9d`/`vix3m` that index's 9-day and 3-month siblings.
+const quoteSymbols = (symbol) => {
+  const config = getSymbolConfig(symbol);
+  return {
+    spy: config.quote,
+    vix: config.volIndex,
+    vix9d: config.shortVolIndex,
+    vix3m: config.longVolIndex,
+    skew: config.skewIndex
+  };
+};
+
 /**
- * Fetch current market prices via proxies
+ * Fetch current market prices via the aggregated /api/quotes proxy
+ *
+ * Returns flat `spy`/`vix`/`vix9d`/`vix3m`/`skew` values for the calculators plus per-symbol
+ * `quotes` metadata ({ value, available, source, asOf, previousClose, stale,
+ * fallback, session }), `session` being the market session the quote printed
+ * in and `previousClose` the prior regular session's close.
+ * An unavailable SKEW is returned as null, as is SKEW for underlyings it
+ * doesn't describe (no `quotes.skew` entry then); likewise VIX9D/VIX3M.
+ * @param {string} [symbol='SPY'] - Underlying, see symbols.js
  */
-export const fetchCurrentPrices = async () => {
-  let spySuccess = false;
-  let vixSuccess = false;
-  let skewSuccess = false;
-  let spyPrice = null;
-  let vixPrice = null;
-  let skewValue = null;
+export const fetchCurrentPrices = async (symbol = DEFAULT_SYMBOL) => {
+  const roles = quoteSymbols(symbol);
+  let payload = null;
 
   try {
     console.log('🔄 Fetching current market data...');
+    const symbols = Object.values(roles).filter(Boolean).join(',');
+    const res = await fetch(`/api/quotes?symbols=${encodeURIComponent(symbols)}`);
+    payload = await res.json();
+  } catch (error) {
+    console.error('❌ Market data error:', error);
+  }
 
-    // SPY
-    try {
-      const res = await fetch('/api/spy');
-      const data = await res.json();
-      if (data?.price) {
-        spyPrice = data.price;
-        spySuccess = true;
-        console.log('✅ SPY:', data.price, 'from', data.source);
-      }
-    } catch (err) {
-      console.log('⚠️ SPY failed:', err);
-    }
-
-    // VIX
-    try {
-      const res = await fetch('/api/vix');
-      const data = await res.json();
-      if (data?.price) {
-        vixPrice = data.price;
-        vixSuccess = true;
-        console.log('✅ VIX:', data.price, 'from', data.source);
-      }
-    } catch (err) {
-      console.log('⚠️ VIX failed:', err);
+  const result = { symbol, status: {}, quotes: {}, skew: null };
+
+  Object.entries(roles).forEach(([key, symbol]) => {
+    if (!symbol) return;
+    const quote = payload?.quotes?.[symbol];
+
+    if (quote?.value) {
+      console.log(`✅ ${symbol}:`, quote.value, 'from', quote.source, quote.stale ? '(stale)' : '');
+      result[key] = quote.value;
+      result.status[key] = true;
+      result.quotes[key] = {
+        ...quote,
+        fallback: false,
+        session: quote.asOf ? getMarketSession(new Date(quote.asOf)) : null
+      };
+    } else {
+      const fallback = FALLBACK_QUOTES[symbol] ?? null;
+      console.log(`⚠️ ${symbol} failed:`, quote?.error || 'no response');
+      result[key] = fallback;
+      result.status[key] = false;
+      result.quotes[key] = {
+        symbol,
+        value: fallback,
+        available: false,
+        source: fallback !== null ? 'fallback' : null,
+        asOf: null,
+        previousClose: null,
+        stale: true,
+        fallback: fallback !== null,
+        session: null,
+        error: quote?.error || 'Quote service unavailable'
+      };
     }
+  });
 
-    // SKEW
-    try {
-      const res = await fetch('/api/skew');
-      const data = await res.json();
-      if (data?.value) {
-        skewValue = data.value;
-        skewSuccess = true;
-        console.log('✅ SKEW:', data.value, 'from', data.source);
-      }
-    } catch (err) {
-      console.log('⚠️ SKEW failed:', err);
-    }
+  return result;
+};
 
-    // Fallbacks
-    if (!spySuccess) spyPrice = 595.42;
-    if (!vixSuccess) vixPrice = 14.23;
-    if (!skewSuccess) skewValue = 135.7;
-
-    return {
-      spy: spyPrice,
-      vix: vixPrice,
-      skew: skewValue,
-      status: { spy: spySuccess, vix: vixSuccess, skew: skewSuccess }
-    };
-  } catch (error) {
-    console.error('❌ Market data error:', error);
-    return {
-      spy: 595.42,
-      vix: 14.23,
-      skew: 135.7,
-      status: { spy: false, vix: false, skew: false }
-    };
-  }
+// Bar intervals and lookback ranges understood by /api/historical
+export const HISTORY_INTERVALS = ['1m', '5m', '15m', '1h', '1d', '1wk'];
+export const HISTORY_RANGES = ['1d', '5d', '1mo', '3mo', '6mo', '1y', '2y', '5y'];
+
+// Chart timeframes and the history window loaded for each - every window
+// holds well over the 50 bars the slowest indicator needs
+export const TIMEFRAMES = {
+  '5m': { range: '5d', interval: '5m', minutes: 5 },
+  '15m': { range: '1mo', interval: '15m', minutes: 15 },
+  '1h': { range: '3mo', interval: '1h', minutes: 60 },
+  '1D': { range: '6mo', interval: '1d', minutes: 1440 },
+  '1W': { range: '2y', interval: '1wk', minutes: 10080 }
 };
 
+const INTERVAL_MINUTES = { '1m': 1, '5m': 5, '15m': 15, '1h': 60, '1d': 1440, '1wk': 10080 };
+const RANGE_DAYS = { '1d': 1, '5d': 5, '1mo': 30, '3mo': 91, '6mo': 182, '1y': 365, '2y': 730, '5y': 1826 };
+
+const isIntraday = (interval) => (INTERVAL_MINUTES[interval] || 1440) < 1440;
+
+// Key used to line up SPY and VIX bars: the New York trading date for daily
+// and weekly bars (index and ETF bars carry different timestamps), the
+// minute for intraday bars
+const barKey = (ts, interval) => isIntraday(interval)
+  ? Math.floor(ts / 60)
+  : new Date(ts * 1000).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+
+const barLabel = (date, interval) => isIntraday(interval)
+  ? date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
 /**
- * Fetch historical price data (30 days)
+ * Fetch historical OHLCV data for an underlying with its vol index closes joined by bar
+ *
+ * Every underlying bar is kept; `vix` is null where the vol index has no bar
+ * (a gap, or no history for that index at all). Only when the underlying's
+ * own history fails are the bars simulated around the current spot/VIX,
+ * each carrying `simulated: true`; with no spot to simulate from either, it
+ * throws.
+ * @param {number} currentSpy - Spot used to seed the simulated fallback
+ * @param {number} currentVix - Vol index used to seed the simulated fallback
+ * @param {Object} [opts]
+ * @param {string} [opts.range='1mo'] - Lookback, one of HISTORY_RANGES
+ * @param {string} [opts.interval='1d'] - Bar size, one of HISTORY_INTERVALS
+ * @param {string} [opts.symbol='SPY'] - Underlying, see symbols.js
  */
-export const fetchHistoricalData = async (currentSpy, currentVix) => {
+export const fetchHistoricalData = async (currentSpy, currentVix, {
+  range = '1mo',
+  interval = '1d',
+  symbol = DEFAULT_SYMBOL
+} = {}) => {
+  const config = getSymbolConfig(symbol);
+
   try {
     console.log('📈 Fetching historical data...');
 
-    const [spyRes, vixRes] = await Promise.all([
-      fetch('/api/historical?ticker=SPY'),
-      fetch('/api/historical?ticker=^VIX')
-    ]);
-
+    const query = `range=${range}&interval=${interval}`;
+    const loadBars = (ticker) => fetch(`/api/historical?ticker=${encodeURIComponent(ticker)}&${query}`)
+      .then(res => res.json());
+    // The vol index is optional: its failure leaves `vix` empty, not the bars
     const [spyData, vixData] = await Promise.all([
-      spyRes.json(),
-      vixRes.json()
+      loadBars(config.quote),
+      loadBars(config.volIndex).catch(error => {
+        console.log(`⚠️ ${config.volIndex} history failed:`, error.message);
+        return null;
+      })
     ]);
 
-    if (spyData?.data && vixData?.data && spyData.data.length > 0) {
-      console.log('✅ Historical data:', spyData.data.length, 'days');
+    if (spyData?.data && spyData.data.length > 0) {
+      console.log('✅ Historical data:', spyData.data.length, `${interval} bars`);
+
+      const vixByBar = {};
+      (vixData?.data || []).forEach(p => { vixByBar[barKey(p.timestamp, interval)] = p; });
 
       const data = [];
       const startPrice = spyData.data[0].close;
+      const snapshots = loadSnapshots(symbol);
 
-      for (let i = 0; i < Math.min(spyData.data.length, vixData.data.length); i++) {
-        const spyPoint = spyData.data[i];
-        const vixPoint = vixData.data[i];
+      spyData.data.forEach(spyPoint => {
+        const vixPoint = vixByBar[barKey(spyPoint.timestamp, interval)];
 
         const date = new Date(spyPoint.timestamp * 1000);
         const spy = spyPoint.close;
-        const vix = vixPoint.close;
+        const vix = vixPoint?.close ?? null;
         const spyPctChange = ((spy - startPrice) / startPrice) * 100;
 
-        // Simulated metrics (need real options data)
-        const pcr = 0.7 + Math.random() * 0.7 + (vix > 20 ? 0.3 : 0);
-        const gammaFlip = spy * (0.985 + Math.random() * 0.03);
-
         data.push({
-          date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+          date: barLabel(date, interval),
           fullDate: date,
+          timestamp: spyPoint.timestamp * 1000,
+          open: spyPoint.open,
+          high: spyPoint.high,
+          low: spyPoint.low,
+          close: spy,
+          volume: spyPoint.volume,
+          adjclose: spyPoint.adjclose,
           spy: parseFloat(spy.toFixed(2)),
           spyPctChange: parseFloat(spyPctChange.toFixed(2)),
-          vix: parseFloat(vix.toFixed(2)),
-          pcr: parseFloat(pcr.toFixed(3)),
-          gammaFlip: parseFloat(gammaFlip.toFixed(2)),
-          skew: 120 + (vix - 12) * 2 + Math.random() * 10,
-          gammaShort: spy > gammaFlip ? -1 : 1
+          vix: vix === null ? null : parseFloat(vix.toFixed(2)),
+          // Chain-derived metrics only exist for days a snapshot was recorded
+          ...snapshotFields(snapshots, date, spy)
         });
-      }
+      });
 
       return data;
     }
@@ -133,43 +206,165 @@ export const fetchHistoricalData = async (currentSpy, currentVix) => {
 
   // Fallback to simulated
   console.log('⚠️ Using simulated historical data');
-  return generateSimulatedHistory(currentSpy, currentVix);
+  const simulated = generateSimulatedHistory(currentSpy, currentVix, { range, interval, symbol });
+  if (simulated.length === 0) throw new Error('History unavailable');
+  return simulated;
+};
+
+// Per-contract expiry fields: New York calendar days to expiration (0 on
+// the day), session minutes left and the instant it stops trading, which
+// Greeks are priced to (see timeToExpiry in optionsCalculations.js)
+const expiryFields = (expiration, now = new Date(), lateClose = false) => {
+  const { calendarDays, tradingMinutes, expiresAt } = timeToExpiration(expiration, now, { lateClose });
+  return {
+    daysToExp: calendarDays,
+    tradingMinutesToExp: tradingMinutes,
+    expiresAt: expiresAt.toISOString()
+  };
+};
+
+// Today's New York date as UTC midnight, to compare against expiration dates
+const easternToday = (now) => new Date(`${easternParts(now).date}T00:00:00Z`);
+
+const isThirdFriday = (date) =>
+  date.getUTCDay() === 5 && date.getUTCDate() >= 15 && date.getUTCDate() <= 21;
+
+// Friday expirations move to Thursday when the Friday is an exchange holiday
+const fridayOf = (expiration) => {
+  const date = new Date(`${expiration}T00:00:00Z`);
+  if (date.getUTCDay() === 5) return date;
+  const friday = addDays(expiration, 1);
+  return date.getUTCDay() === 4 && !isTradingDay(friday) ? new Date(`${friday}T00:00:00Z`) : null;
+};
+
+const isWeeklyExpiration = (expiration) => fridayOf(expiration) !== null;
+
+const isMonthlyExpiration = (expiration) => {
+  const friday = fridayOf(expiration);
+  return friday !== null && isThirdFriday(friday);
+};
+
+/**
+ * Which expirations fetchOptionsChain loads
+ *
+ * `mode` is one of:
+ *   '0dte'    - today's expiration only
+ *   'weekly'  - Friday expirations (including the monthlies)
+ *   'monthly' - standard third-Friday expirations
+ * (a Friday expiration moved to Thursday by a holiday still counts)
+ *   'range'   - everything between minDte and maxDte
+ *   'all'     - the full chain
+ * `minDte`/`maxDte` (calendar days, today = 0) narrow any mode and `limit`
+ * caps the count, nearest first. `anchorDtes` adds the first expiration on
+ * or after each listed DTE on top of that, so the IV term structure reaches
+ * its longer constant maturities without loading every expiration between.
+ */
+export const DEFAULT_CHAIN_SELECTION = { mode: 'range', minDte: 0, maxDte: 45, anchorDtes: [60, 90] };
+
+export const CHAIN_MODES = ['0dte', 'weekly', 'monthly', 'range', 'all'];
+
+/**
+ * Filter YYYY-MM-DD expirations down to a chain selection, nearest first
+ */
+export const selectExpirations = (expirations, selection = DEFAULT_CHAIN_SELECTION, now = new Date()) => {
+  const { mode = 'range', minDte = 0, maxDte = Infinity, limit = Infinity, anchorDtes = [] } = selection;
+  const today = easternToday(now);
+
+  const dated = expirations
+    .map(expiration => ({
+      expiration,
+      dte: Math.round((new Date(`${expiration}T00:00:00Z`) - today) / 86400000)
+    }))
+    .sort((a, b) => a.dte - b.dte);
+
+  const selected = dated
+    .filter(({ expiration, dte }) => {
+      if (dte < Math.max(0, minDte) || dte > maxDte) return false;
+      if (mode === '0dte') return dte === 0;
+      if (mode === 'weekly') return isWeeklyExpiration(expiration);
+      if (mode === 'monthly') return isMonthlyExpiration(expiration);
+      return true;
+    })
+    .slice(0, limit);
+
+  anchorDtes.forEach(anchor => {
+    const next = dated.find(({ dte }) => dte >= anchor);
+    if (next && !selected.includes(next)) selected.push(next);
+  });
+
+  return selected
+    .sort((a, b) => a.dte - b.dte)
+    .map(({ expiration }) => expiration);
+};
+
+// Run `fn` over `items` with at most `limit` calls in flight; results keep
+// input order and a rejected call yields null
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length).fill(null);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index]);
+      } catch (error) {
+        console.log('⚠️ Chain request failed:', error.message);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 };
 
 /**
  * Fetch options chain (Tradier if available, otherwise simulated)
+ * @param {number} spy - Spot used to seed the simulated fallback
+ * @param {number} vix - VIX used to seed the simulated fallback
+ * @param {Object} [opts]
+ * @param {Object} [opts.selection] - Expirations to load, see DEFAULT_CHAIN_SELECTION
+ * @param {number} [opts.concurrency=4] - Max chain requests in flight
+ * @param {string} [opts.symbol='SPY'] - Underlying, see symbols.js
+ * @param {number|null} [opts.liveSpot=null] - Live underlying price to solve
+ *   bid/mid/ask IVs against (see withImpliedVols); null skips solving
  */
-export const fetchOptionsChain = async (spy, vix) => {
+export const fetchOptionsChain = async (spy, vix, {
+  selection = DEFAULT_CHAIN_SELECTION,
+  concurrency = 4,
+  symbol = DEFAULT_SYMBOL,
+  liveSpot = null
+} = {}) => {
+  const { options: optionsRoot, lateClose, dividendYield } = getSymbolConfig(symbol);
+  const root = encodeURIComponent(optionsRoot);
+
   try {
     console.log('🔄 Fetching options chain...');
 
     // Try Tradier
-    const expRes = await fetch('/api/tradier?symbol=SPY');
+    const expRes = await fetch(`/api/tradier?symbol=${root}`);
     const expData = await expRes.json();
 
     if (expData?.expirations && expData.expirations.length > 0) {
-      const allOptions = [];
+      const expirations = selectExpirations(expData.expirations, selection);
 
-      for (const expiration of expData.expirations.slice(0, 4)) {
-        const chainRes = await fetch(`/api/tradier?symbol=SPY&expiration=${expiration}`);
+      const chains = await mapWithConcurrency(expirations, concurrency, async (expiration) => {
+        const chainRes = await fetch(`/api/tradier?symbol=${root}&expiration=${expiration}`);
         const chainData = await chainRes.json();
+        if (!chainData?.options) return null;
 
-        if (chainData?.options) {
-          const expDate = new Date(expiration);
-          const today = new Date();
-          const daysToExp = Math.max(1, Math.ceil((expDate - today) / 86400000));
-
-          const optionsWithDTE = chainData.options.map(opt => ({
-            ...opt,
-            daysToExp
-          }));
+        const expiry = expiryFields(expiration, new Date(), lateClose);
+        return chainData.options.map(opt => ({ ...opt, ...expiry }));
+      });
 
-          allOptions.push(...optionsWithDTE);
-        }
-      }
+      const now = new Date();
+      const allOptions = chains
+        .filter(Boolean)
+        .flat()
+        .map(opt => (liveSpot ? withImpliedVols(opt, liveSpot, now, { dividendYield }) : opt));
 
       if (allOptions.length > 0) {
-        console.log('✅ Real options:', allOptions.length, 'contracts');
+        console.log('✅ Real options:', allOptions.length, 'contracts across', expirations.length, 'expirations');
         return allOptions;
       }
     }
@@ -179,54 +374,229 @@ export const fetchOptionsChain = async (spy, vix) => {
 
   // Fallback
   console.log('📊 Using simulated options');
-  return generateSimulatedOptions(spy, vix);
+  const simulated = generateSimulatedOptions(spy, vix, { lateClose, dividendYield });
+  const keep = new Set(selectExpirations([...new Set(simulated.map(opt => opt.expiration))], selection));
+  return simulated.filter(opt => keep.has(opt.expiration));
 };
 
 /**
- * Generate simulated historical data (fallback)
+ * Generate simulated historical data (fallback); every bar is tagged
+ * `simulated: true` so it can be flagged and kept out of signals
  */
-function generateSimulatedHistory(currentSpy, currentVix) {
-  const data = [];
-  const days = 30;
-  const startPrice = currentSpy - 15;
-
-  for (let i = days; i >= 0; i--) {
-    const date = new Date();
-    date.setDate(date.getDate() - i);
+function generateSimulatedHistory(currentSpy, currentVix, {
+  range = '1mo',
+  interval = '1d',
+  symbol = DEFAULT_SYMBOL
+} = {}) {
+  if (!currentSpy || !currentVix) return [];
 
-    const progress = 1 - (i / days);
-    const trend = startPrice + (15 * progress);
-    const noise = Math.sin(i / 3) * 3 + (Math.random() - 0.5) * 2;
+  const data = [];
+  const minutes = INTERVAL_MINUTES[interval] || 1440;
+  // Intraday bars only cover the 390-minute regular session
+  const barsPerDay = minutes < 1440 ? Math.floor(390 / minutes) : 1440 / minutes;
+  const bars = Math.min(500, Math.max(2, Math.round((RANGE_DAYS[range] || 30) * barsPerDay)));
+  // Shape was tuned on SPY around 600; scale it to the underlying's price
+  const scale = currentSpy / 600;
+  const startPrice = currentSpy - 15 * scale;
+  const snapshots = loadSnapshots(symbol);
+
+  for (let i = bars; i >= 0; i--) {
+    const date = new Date(Date.now() - i * minutes * 60000);
+
+    const progress = 1 - (i / bars);
+    const trend = startPrice + (15 * scale * progress);
+    const noise = (Math.sin(i / 3) * 3 + (Math.random() - 0.5) * 2) * scale;
     const spy = trend + noise;
 
-    const spyChange = i < days ? (spy - (trend - 15 / days)) : 0;
+    const spyChange = i < bars ? (spy - (trend - 15 * scale / bars)) / scale : 0;
     const vixBase = currentVix - spyChange * 0.2;
     const vix = Math.max(10, Math.min(30, vixBase + Math.random() * 1.5));
 
     const spyPctChange = ((spy - startPrice) / startPrice) * 100;
-    const pcr = 0.7 + Math.random() * 0.7 + (vix > 20 ? 0.3 : 0);
-    const gammaFlip = spy * (0.985 + Math.random() * 0.03);
+    const barRange = spy * vix / 100 / Math.sqrt(252) * Math.sqrt(minutes < 1440 ? minutes / 390 : minutes / 1440);
 
     data.push({
-      date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+      date: barLabel(date, interval),
       fullDate: date,
+      timestamp: date.getTime(),
+      open: spy - noise / 2,
+      high: spy + barRange * Math.random(),
+      low: spy - barRange * Math.random(),
+      close: spy,
+      volume: Math.round(60000000 + Math.random() * 30000000),
+      adjclose: spy,
       spy: parseFloat(spy.toFixed(2)),
       spyPctChange: parseFloat(spyPctChange.toFixed(2)),
       vix: parseFloat(vix.toFixed(2)),
-      pcr: parseFloat(pcr.toFixed(3)),
-      gammaFlip: parseFloat(gammaFlip.toFixed(2)),
-      skew: 120 + (vix - 12) * 2 + Math.random() * 10,
-      gammaShort: spy > gammaFlip ? -1 : 1
+      ...snapshotFields(snapshots, date, spy),
+      simulated: true
     });
   }
   return data;
 }
 
+// Furthest expiration in the synthetic options chain
+const SIMULATED_MAX_DAYS = 180;
+
+// Small seedable PRNG (mulberry32) so a given seed always yields the same chain
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
 /**
- * Generate simulated options chain (fallback)
+ * SPY-style expiration calendar: the next five trading-day (daily)
+ * expirations, Friday weeklies out to eight weeks, then third-Friday
+ * monthlies. A Friday expiration that lands on an exchange holiday moves to
+ * the Thursday before.
  */
-function generateSimulatedOptions(spy, vix) {
-  // Import calculateGreeks or pass it in
-  // For now, return basic structure
-  return [];
+const simulatedExpirations = (now, maxDays) => {
+  const today = easternParts(now).date;
+  const dates = new Set();
+  let dailies = 0;
+
+  for (let d = 0; d <= maxDays; d++) {
+    const date = addDays(today, d);
+    const utcDate = new Date(`${date}T00:00:00Z`);
+    const isFriday = utcDate.getUTCDay() === 5;
+
+    if (dailies < 5 && isTradingDay(date)) {
+      dailies++;
+      dates.add(date);
+    } else if ((isFriday && d <= 56) || isThirdFriday(utcDate)) {
+      if (isTradingDay(date)) dates.add(date);
+      else if (d > 0 && isTradingDay(addDays(date, -1))) dates.add(addDays(date, -1));
+    }
+  }
+  return [...dates].sort();
+};
+
+// ATM vol for a maturity: VIX is the 30-day level; the curve slopes up
+// (contango) in calm markets and inverts when VIX is elevated
+const simulatedAtmVol = (vix, T) => {
+  const slope = vix < 20 ? 0.08 : -0.1;
+  const ratio = Math.sqrt(Math.min(T, 1) / (30 / 365));
+  return Math.max(0.05, (vix / 100) * (1 + slope * (ratio - 1)));
+};
+
+// Skewed smile in standardized moneyness z = ln(K/S) / (atm * sqrt(T)):
+// downside puts richer, a shallower wing on the call side
+const simulatedSmileVol = (atm, z) => {
+  const clamped = Math.max(-4, Math.min(4, z));
+  return atm * Math.max(0.6, 1 - 0.15 * clamped + 0.03 * clamped * clamped);
+};
+
+const roundTick = (price) => Math.round(price * 100) / 100;
+
+/**
+ * Generate a synthetic options chain (fallback when Tradier is unavailable)
+ *
+ * Contracts match the /api/tradier shape plus the expiry fields and
+ * `simulated: true`. Output is fully determined by the inputs and seed;
+ * expirations that have already stopped trading at `now` are left out.
+ * @param {number} spy - Spot price
+ * @param {number} vix - Vol index level (VIX, VXN, ...), anchors the 30-day ATM vol
+ * @param {Object} [opts]
+ * @param {number} [opts.seed=1] - PRNG seed for OI, volume and sizes
+ * @param {Date} [opts.now] - Valuation time, defaults to now
+ * @param {number} [opts.maxDays=180] - Furthest expiration in calendar days
+ * @param {number} [opts.rate=0.045] - Risk-free rate
+ * @param {boolean} [opts.lateClose=true] - Options trade until 4:15pm ET, see symbols.js
+ * @param {number} [opts.dividendYield=0] - Underlying's dividend yield
+ */
+export function generateSimulatedOptions(spy, vix, {
+  seed = 1,
+  now = new Date(),
+  maxDays = SIMULATED_MAX_DAYS,
+  rate = DEFAULT_RATE,
+  lateClose = true,
+  dividendYield = 0
+} = {}) {
+  if (!spy || !vix) return [];
+
+  const random = createRandom(seed);
+  const noise = (spread) => 1 - spread + random() * 2 * spread;
+  const options = [];
+
+  simulatedExpirations(now, maxDays).forEach(expiration => {
+    const expiry = expiryFields(expiration, now, lateClose);
+    const { daysToExp } = expiry;
+    const T = timeToExpiry(expiry, now);
+    if (T <= 0) return;
+    const atm = simulatedAtmVol(vix, T);
+    const sd = atm * Math.sqrt(T);
+
+    // Third Fridays carry the most open interest; short-dated volume
+    // turns over a much larger share of it
+    const isMonthly = isMonthlyExpiration(expiration);
+    const baseOI = (isMonthly ? 60000 : 20000) * noise(0.2);
+    const turnover = daysToExp <= 1 ? 1.2 : daysToExp <= 7 ? 0.4 : 0.1;
+
+    // Fine strikes within 5% of spot, every fifth further out, wider for
+    // longer maturities; the increment follows the price ($1 on SPY, $5 on SPX)
+    const width = spy * Math.min(0.35, Math.max(0.03, 3.5 * sd));
+    const step = spy < 50 ? 0.5 : spy < 1000 ? 1 : 5;
+    const strikes = [];
+    for (let n = Math.ceil((spy - width) / step); n * step <= spy + width; n++) {
+      if (Math.abs(n * step - spy) <= spy * 0.05 || n % 5 === 0) strikes.push(n);
+    }
+
+    strikes.forEach(n => {
+      const strike = n * step;
+      const z = Math.log(strike / spy) / sd;
+      const iv = simulatedSmileVol(atm, z);
+      const roundness = n % 25 === 0 ? 2.5 : n % 5 === 0 ? 1.6 : 1;
+      const concentration = Math.exp(-0.5 * (z / 1.5) ** 2) * roundness;
+
+      ['CALL', 'PUT'].forEach(type => {
+        const isCall = type === 'CALL';
+        const greeks = calculateGreeks(spy, strike, T, rate, iv, isCall, dividendYield);
+        const mid = greeks.price;
+
+        // Puts hold more OI below spot (hedges), calls above
+        const otm = isCall ? strike > spy : strike < spy;
+        const sideBias = isCall ? (otm ? 1 : 0.6) : (otm ? 1.4 : 0.5);
+        const oi = Math.round(baseOI * concentration * sideBias * noise(0.4));
+        const volume = Math.round(oi * turnover * noise(0.6));
+
+        const spread = Math.max(0.01, Math.min(0.5, 0.01 + mid * 0.01));
+        const bid = Math.max(0, roundTick(mid - spread / 2));
+        const ask = Math.max(0.01, roundTick(mid + spread / 2));
+
+        options.push({
+          expiration,
+          strike,
+          type,
+          iv,
+          oi,
+          volume,
+          bid,
+          ask,
+          delta: greeks.delta,
+          gamma: greeks.gamma,
+          vega: greeks.vega,
+          theta: greeks.theta,
+          lastPrice: roundTick(mid),
+          bidSize: Math.round(10 + random() * 490),
+          askSize: Math.round(10 + random() * 490),
+          ...expiry,
+          simulated: true
+        });
+      });
+    });
+  });
+
+  return options;
 }
+
+/**
+ * Whether the US equity market is in its regular session, holidays and
+ * early closes included (see marketCalendar.js)
+ */
+export const isMarketOpen = (now = new Date()) => getMarketSession(now) === 'regular';
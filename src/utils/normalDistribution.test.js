@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { erfc, normalCDF, normalPDF, inverseNormalCDF } from './normalDistribution';
+
+// Reference values computed in 900-digit decimal arithmetic from the exact
+// double inputs, rounded to 18 significant digits
+const relativeError = (actual, expected) =>
+  expected === 0 ? Math.abs(actual) : Math.abs(actual / expected - 1);
+
+describe('normalCDF', () => {
+  it.each([
+    [0, 0.5],
+    [1, 8.41344746068542926e-1],
+    [-1, 1.58655253931457046e-1],
+    [5, 9.99999713348428076e-1],
+    [-5, 2.86651571879193912e-7],
+    [10, 1],
+    [-10, 7.61985302416052545e-24],
+    [37, 1],
+    [-37, 5.72557122252457710e-300]
+  ])('normalCDF(%d)', (x, expected) => {
+    expect(relativeError(normalCDF(x), expected)).toBeLessThan(1e-15);
+  });
+
+  it('is symmetric', () => {
+    [0.3, 1.7, 4.2, 8].forEach(x => {
+      expect(Math.abs(normalCDF(x) + normalCDF(-x) - 1)).toBeLessThan(1e-15);
+    });
+  });
+
+  it('handles infinities and NaN', () => {
+    expect(normalCDF(Infinity)).toBe(1);
+    expect(normalCDF(-Infinity)).toBe(0);
+    expect(normalCDF(-1e300)).toBe(0);
+    expect(normalCDF(NaN)).toBeNaN();
+  });
+});
+
+describe('normalPDF', () => {
+  it('matches the density at 0 and 1', () => {
+    expect(relativeError(normalPDF(0), 3.98942280401432678e-1)).toBeLessThan(1e-15);
+    expect(relativeError(normalPDF(1), 2.41970724519143350e-1)).toBeLessThan(1e-15);
+  });
+});
+
+describe('erfc', () => {
+  // Straddles Cody's interval boundaries at 0.5 and 4 by one ulp
+  it.each([
+    [0.25, 7.23673609831763098e-1],
+    [0.49999999999999994, 4.79500122186953537e-1],
+    [0.5, 4.79500122186953481e-1],
+    [0.5000000000000001, 4.79500122186953370e-1],
+    [1.5, 3.38948535246892738e-2],
+    [3.9999999999999996, 1.54172579002800762e-8],
+    [4, 1.54172579002800200e-8],
+    [4.000000000000001, 1.54172579002799075e-8],
+    [6, 2.15197367124989128e-17],
+    [10, 2.08848758376254488e-45],
+    [26.5, 2.21090766426373425e-307],
+    [-0.5, 1.52049987781304652],
+    [-1.5, 1.96610514647531076],
+    [-4, 1.99999998458274209]
+  ])('erfc(%d)', (x, expected) => {
+    expect(relativeError(erfc(x), expected)).toBeLessThan(5e-16);
+  });
+
+  it('is 1 at 0 and underflows to 0 far in the tail', () => {
+    expect(erfc(0)).toBe(1);
+    expect(erfc(30)).toBe(0);
+    expect(erfc(-30)).toBe(2);
+  });
+});
+
+describe('inverseNormalCDF', () => {
+  it.each([
+    [1e-300, -3.70470962993612005e1],
+    [1e-16, -8.22208221613043477],
+    [0.025, -1.95996398454005427],
+    [1 - 2 ** -40, 7.04770025666440869],
+    [1 - 2 ** -53, 8.20953615160138739]
+  ])('inverseNormalCDF(%d)', (p, expected) => {
+    expect(relativeError(inverseNormalCDF(p), expected)).toBeLessThan(1e-15);
+  });
+
+  it('inverts normalCDF across the lower tail and centre', () => {
+    [-37, -30, -20, -8, -5, -3, -1, -0.5, 0, 0.5, 1].forEach(x => {
+      expect(Math.abs(inverseNormalCDF(normalCDF(x)) - x)).toBeLessThan(1e-15 * Math.max(1, Math.abs(x)));
+    });
+  });
+
+  it('inverts normalCDF in the upper tail, where p itself only has absolute precision', () => {
+    // Checked through the complement: 1 - p is exact for these p
+    [1 - 1e-3, 1 - 2 ** -30, 1 - 2 ** -50].forEach(p => {
+      const x = inverseNormalCDF(p);
+      expect(relativeError(normalCDF(-x), 1 - p)).toBeLessThan(1e-14);
+    });
+  });
+
+  it('maps the ends of [0, 1] to infinities and rejects the rest', () => {
+    expect(inverseNormalCDF(0)).toBe(-Infinity);
+    expect(inverseNormalCDF(1)).toBe(Infinity);
+    expect(inverseNormalCDF(-0.1)).toBeNaN();
+    expect(inverseNormalCDF(1.1)).toBeNaN();
+    expect(inverseNormalCDF(NaN)).toBeNaN();
+  });
+});
@@ -1,57 +1,367 @@
 // src/utils/optionsCalculations.js
 // Options Greeks and analytics - Black-Scholes calculations
 
-/**
- * Normal CDF (Cumulative Distribution Function)
- */
-export const normalCDF = (x) => {
-  const t = 1 / (1 + 0.2316419 * Math.abs(x));
-  const d = 0.3989423 * Math.exp(-x * x / 2);
-  const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
-  return x > 0 ? 1 - p : p;
-};
+import { yearsUntil } from './marketCalendar';
+import { normalCDF, normalPDF } from './normalDistribution';
 
-/**
- * Normal PDF (Probability Density Function)
- */
-export const normalPDF = (x) => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+// Re-exported so existing imports from this module keep working
+export { normalCDF, normalPDF };
+
+// Rate used where the chain doesn't come with one
+export const DEFAULT_RATE = 0.045;
+
+// d1/d2 of Black-Scholes-Merton with continuous dividend yield q
+const bsmD1D2 = (S, K, T, r, q, sigma) => {
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r - q + 0.5 * sigma * sigma) * T) / (sigma * sqrtT);
+  return { d1, d2: d1 - sigma * sqrtT, sqrtT };
+};
 
 /**
- * Calculate Black-Scholes Greeks
+ * Black-Scholes-Merton price and Greeks
  * @param {number} S - Spot price
  * @param {number} K - Strike price
  * @param {number} T - Time to expiration (years)
  * @param {number} r - Risk-free rate
  * @param {number} sigma - Volatility
  * @param {boolean} isCall - True for call, false for put
+ * @param {number} [q=0] - Continuous dividend yield
+ * @returns {Object} price; delta, gamma; vega and vomma per vol point;
+ *   theta, charm and color per calendar day; rho per rate point; vanna
+ *   (delta per vol point) and speed (gamma per $1)
+ *
+ * At expiry (T <= 0) or zero vol, price is intrinsic value, delta is the
+ * exercise indicator (1/-1 in the money, 0 out) and the rest are zero.
  */
-export const calculateGreeks = (S, K, T, r, sigma, isCall) => {
-  if (T <= 0 || !S || !sigma) {
-    return { delta: 0, gamma: 0, vega: 0, theta: 0 };
+export const calculateGreeks = (S, K, T, r, sigma, isCall, q = 0) => {
+  const flat = { delta: 0, gamma: 0, vega: 0, theta: 0, rho: 0, vanna: 0, charm: 0, vomma: 0, speed: 0, color: 0 };
+  if (!S) {
+    return { price: 0, ...flat };
+  }
+  if (T <= 0 || !sigma) {
+    const delta = isCall ? (S > K ? 1 : 0) : (S < K ? -1 : 0);
+    return { ...flat, price: blackScholesPrice(S, K, T, r, sigma, isCall, q), delta };
   }
 
-  const d1 = (Math.log(S / K) + (r + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
-  const d2 = d1 - sigma * Math.sqrt(T);
+  const { d1, d2, sqrtT } = bsmD1D2(S, K, T, r, q, sigma);
+  const pdf = normalPDF(d1);
+  const carry = Math.exp(-q * T);
+  const discount = Math.exp(-r * T);
+  const sign = isCall ? 1 : -1;
+  const Nd1 = normalCDF(sign * d1);
+  const Nd2 = normalCDF(sign * d2);
+
+  const price = sign * (S * carry * Nd1 - K * discount * Nd2);
+  const delta = sign * carry * Nd1;
+  const gamma = carry * pdf / (S * sigma * sqrtT);
+  const vegaRaw = S * carry * pdf * sqrtT;
+  const theta = (-S * carry * pdf * sigma / (2 * sqrtT)
+    - sign * r * K * discount * Nd2
+    + sign * q * S * carry * Nd1) / 365;
+  const rho = sign * K * T * discount * Nd2 / 100;
+
+  // Sensitivities of delta and gamma to vol, spot and time passing
+  const drift = (2 * (r - q) * T - d2 * sigma * sqrtT) / (2 * T * sigma * sqrtT);
+  const vanna = -carry * pdf * d2 / sigma / 100;
+  const charm = (sign * q * carry * Nd1 - carry * pdf * drift) / 365;
+  const vomma = vegaRaw * d1 * d2 / sigma / 10000;
+  const speed = -gamma / S * (d1 / (sigma * sqrtT) + 1);
+  const color = carry * pdf / (2 * S * T * sigma * sqrtT)
+    * (2 * q * T + 1 + (2 * (r - q) * T - d2 * sigma * sqrtT) / (sigma * sqrtT) * d1) / 365;
+
+  return { price, delta, gamma, vega: vegaRaw / 100, theta, rho, vanna, charm, vomma, speed, color };
+};
+
+/**
+ * Black-Scholes-Merton option price, same inputs as calculateGreeks
+ * Expired (T <= 0) or zero-vol contracts are worth their intrinsic value.
+ */
+export const blackScholesPrice = (S, K, T, r, sigma, isCall, q = 0) => {
+  if (T <= 0 || !sigma) {
+    return isCall ? Math.max(0, S - K) : Math.max(0, K - S);
+  }
 
-  const delta = isCall ? normalCDF(d1) : normalCDF(d1) - 1;
-  const gamma = normalPDF(d1) / (S * sigma * Math.sqrt(T));
-  const vega = S * normalPDF(d1) * Math.sqrt(T) / 100;
-  const theta = isCall
-    ? (-S * normalPDF(d1) * sigma / (2 * Math.sqrt(T)) - r * K * Math.exp(-r * T) * normalCDF(d2)) / 365
-    : (-S * normalPDF(d1) * sigma / (2 * Math.sqrt(T)) + r * K * Math.exp(-r * T) * normalCDF(-d2)) / 365;
+  const { d1, d2 } = bsmD1D2(S, K, T, r, q, sigma);
+  const carry = Math.exp(-q * T);
+  const discount = Math.exp(-r * T);
 
-  return { delta, gamma, vega, theta };
+  return isCall
+    ? S * carry * normalCDF(d1) - K * discount * normalCDF(d2)
+    : K * discount * normalCDF(-d2) - S * carry * normalCDF(-d1);
+};
+
+// Brent's method: a root of f in [a, b], or null if f doesn't change sign there
+const brentRoot = (f, a, b, tol = 1e-12, maxIter = 100) => {
+  let fa = f(a);
+  let fb = f(b);
+  if (fa * fb > 0) return null;
+
+  let c = b, fc = fb, d = 0, e = 0;
+  for (let i = 0; i < maxIter; i++) {
+    if ((fb > 0 && fc > 0) || (fb < 0 && fc < 0)) {
+      c = a; fc = fa; d = b - a; e = d;
+    }
+    if (Math.abs(fc) < Math.abs(fb)) {
+      a = b; b = c; c = a;
+      fa = fb; fb = fc; fc = fa;
+    }
+
+    const tol1 = 2 * Number.EPSILON * Math.abs(b) + 0.5 * tol;
+    const xm = 0.5 * (c - b);
+    if (Math.abs(xm) <= tol1 || fb === 0) return b;
+
+    if (Math.abs(e) >= tol1 && Math.abs(fa) > Math.abs(fb)) {
+      // Inverse quadratic interpolation, or secant when only two points differ
+      const s = fb / fa;
+      let p, q;
+      if (a === c) {
+        p = 2 * xm * s;
+        q = 1 - s;
+      } else {
+        const qa = fa / fc;
+        const rb = fb / fc;
+        p = s * (2 * xm * qa * (qa - rb) - (b - a) * (rb - 1));
+        q = (qa - 1) * (rb - 1) * (s - 1);
+      }
+      if (p > 0) q = -q;
+      p = Math.abs(p);
+      if (2 * p < Math.min(3 * xm * q - Math.abs(tol1 * q), Math.abs(e * q))) {
+        e = d;
+        d = p / q;
+      } else {
+        d = xm;
+        e = d;
+      }
+    } else {
+      d = xm;
+      e = d;
+    }
+
+    a = b;
+    fa = fb;
+    b += Math.abs(d) > tol1 ? d : (xm >= 0 ? tol1 : -tol1);
+    fb = f(b);
+  }
+  return null;
+};
+
+// Vol search range and the price error a solution must reach
+const IV_MIN = 1e-4;
+const IV_MAX = 5;
+const IV_PRICE_TOLERANCE = 1e-8;
+const NEWTON_MAX_ITER = 20;
+
+/**
+ * Implied volatility: the sigma at which calculateGreeks' model reproduces
+ * an option price
+ *
+ * Newton's method from the Manaster-Koehler starting point, falling back
+ * to Brent's method on [0.0001, 5] when a step leaves that range or stalls
+ * on a vanishing vega (deep wings, last minutes before expiry).
+ * @param {number} price - Option price
+ * @param {number} [q=0] - Continuous dividend yield
+ * @returns {number|null} Annualized vol, or null when no vol in range
+ *   matches: the price is at or outside its no-arbitrage bounds, or the
+ *   contract has expired
+ */
+export const impliedVolatility = (price, S, K, T, r, isCall, q = 0) => {
+  if (!(price > 0) || !S || !K || !(T > 0)) return null;
+
+  const carry = Math.exp(-q * T);
+  const discount = Math.exp(-r * T);
+  const lower = Math.max(0, isCall ? S * carry - K * discount : K * discount - S * carry);
+  const upper = isCall ? S * carry : K * discount;
+  if (price <= lower || price >= upper) return null;
+
+  const error = (sigma) => blackScholesPrice(S, K, T, r, sigma, isCall, q) - price;
+
+  const moneyness = Math.abs(Math.log(S / K) + (r - q) * T);
+  let sigma = moneyness > 0 ? Math.sqrt(2 * moneyness / T) : 0.2;
+  sigma = Math.min(IV_MAX, Math.max(0.01, sigma));
+
+  for (let i = 0; i < NEWTON_MAX_ITER; i++) {
+    const diff = error(sigma);
+    if (Math.abs(diff) < IV_PRICE_TOLERANCE) return sigma;
+
+    const { d1, sqrtT } = bsmD1D2(S, K, T, r, q, sigma);
+    const vega = S * carry * normalPDF(d1) * sqrtT;
+    if (vega < 1e-12) break;
+
+    const next = sigma - diff / vega;
+    if (!(next > IV_MIN && next < IV_MAX)) break;
+    sigma = next;
+  }
+
+  return brentRoot(error, IV_MIN, IV_MAX);
+};
+
+/**
+ * Years left on a contract at `now`, from the `expiresAt` instant set when
+ * the chain loaded (4:00pm or 4:15pm ET), else its whole days to expiration
+ */
+export const timeToExpiry = (opt, now = new Date()) =>
+  opt.expiresAt ? yearsUntil(opt.expiresAt, now) : Math.max(0, opt.daysToExp ?? 0) / 365;
+
+/**
+ * Bid/mid/ask implied vols for a contract, solved from its quotes at spot `S`
+ * @param {Object} [opts] - Rate and dividend yield, see contractGreeks
+ * @returns {{ bidIV, midIV, askIV, ivUnsolvable }} Vols are null where the
+ *   side isn't quoted or can't be solved; `ivUnsolvable` marks an offered
+ *   contract with no mid IV: a zero bid, a crossed market (bid above ask),
+ *   or a mid outside the no-arbitrage bounds
+ */
+export const contractImpliedVols = (opt, S, now = new Date(), { rate = DEFAULT_RATE, dividendYield = 0 } = {}) => {
+  const T = timeToExpiry(opt, now);
+  const isCall = opt.type === 'CALL';
+  const solve = (price) => (price > 0
+    ? impliedVolatility(price, S, opt.strike, T, rate, isCall, dividendYield)
+    : null);
+
+  const mid = opt.bid > 0 && opt.ask >= opt.bid ? (opt.bid + opt.ask) / 2 : null;
+  const midIV = solve(mid);
+
+  return {
+    bidIV: solve(opt.bid),
+    midIV,
+    askIV: solve(opt.ask),
+    ivUnsolvable: opt.ask > 0 && T > 0 && midIV === null
+  };
+};
+
+/**
+ * A contract with its quote-implied vols attached (see contractImpliedVols)
+ */
+export const withImpliedVols = (opt, S, now = new Date(), pricing = {}) =>
+  ({ ...opt, ...contractImpliedVols(opt, S, now, pricing) });
+
+/**
+ * Vol to price a contract with: the vendor's IV, else the one solved from
+ * its mid quote, else null
+ */
+export const contractIV = (opt) => (opt.iv > 0 ? opt.iv : opt.midIV > 0 ? opt.midIV : null);
+
+/**
+ * Greeks for a contract at spot `S` and time `now` (see calculateGreeks)
+ *
+ * Repriced from the contract's IV (contractIV) with the intraday time left,
+ * so 0DTE gamma grows into the close and expired contracts drop to zero.
+ * This also fills in Greeks the vendor left out. Contracts without any IV
+ * keep the vendor's first-order Greeks; the ones the vendor doesn't send
+ * come back as zero.
+ * @param {Object} [opts]
+ * @param {number} [opts.rate=DEFAULT_RATE] - Risk-free rate
+ * @param {number} [opts.dividendYield=0] - Underlying's dividend yield, see symbols.js
+ */
+export const contractGreeks = (opt, S, now = new Date(), { rate = DEFAULT_RATE, dividendYield = 0 } = {}) => {
+  const T = timeToExpiry(opt, now);
+  const isCall = opt.type === 'CALL';
+  const iv = contractIV(opt);
+  if (!iv && T > 0) {
+    return {
+      ...calculateGreeks(S, opt.strike, 0, rate, 0, isCall),
+      price: opt.lastPrice || 0,
+      delta: opt.delta || 0,
+      gamma: opt.gamma || 0,
+      vega: opt.vega || 0,
+      theta: opt.theta || 0
+    };
+  }
+  return calculateGreeks(S, opt.strike, T, rate, iv, isCall, dividendYield);
+};
+
+/**
+ * Dealer positioning models: who is assumed to hold each contract's open
+ * interest on the dealer side
+ */
+export const DEALER_MODELS = {
+  standard: 'Long calls, short puts',
+  shortAll: 'Short every contract',
+  volumeFlow: 'Inferred from trade flow',
+  custom: 'Custom weights'
+};
+
+// Customers buy puts for protection and sell calls against stock, so
+// dealers end up long calls and short puts - the convention published GEX
+// figures use
+export const DEFAULT_DEALER_MODEL = 'standard';
+
+// Dealer contracts per contract of open interest, -1 (all short) to 1 (all long)
+export const DEFAULT_DEALER_WEIGHTS = { call: 1, put: -1 };
+
+const clampUnit = (value) => Math.max(-1, Math.min(1, Number(value) || 0));
+
+// Which side of the spread the last trade printed on: 1 at the ask
+// (customer bought), -1 at the bid (customer sold), null without a market
+const tradeSide = (opt) => {
+  if (!(opt.bid > 0 && opt.ask > opt.bid && opt.lastPrice > 0)) return null;
+  return clampUnit(2 * (opt.lastPrice - opt.bid) / (opt.ask - opt.bid) - 1);
+};
+
+/**
+ * Dealer position per contract of open interest under a positioning model
+ *
+ * 'volumeFlow' starts from the standard model and moves a contract toward
+ * the opposite of the customer side its last trade printed on, by as much
+ * of the open interest as today's volume turned over.
+ * @returns {number} -1 (dealers short all of it) to 1 (long all of it)
+ */
+export const dealerPosition = (opt, model = DEFAULT_DEALER_MODEL, weights = DEFAULT_DEALER_WEIGHTS) => {
+  const isCall = opt.type === 'CALL';
+  const standard = isCall ? 1 : -1;
+
+  switch (model) {
+    case 'shortAll':
+      return -1;
+    case 'custom':
+      return clampUnit(isCall ? weights.call : weights.put);
+    case 'volumeFlow': {
+      const side = tradeSide(opt);
+      if (side === null || !opt.volume || !opt.oi) return standard;
+      const turnover = Math.min(1, opt.volume / opt.oi);
+      return (1 - turnover) * standard - turnover * side;
+    }
+    default:
+      return standard;
+  }
 };
 
 /**
  * Calculate dealer gamma exposure from options chain
+ *
+ * Per strike, `*Gamma`/`*Delta` are dealer shares (gamma: shares per $1 of
+ * spot) and `*GEX` is dollar gamma, gamma x spot^2 x 1%: the dollars of
+ * underlying dealers must trade per 1% move, as GEX is usually quoted.
+ * `*Vanna` and `*Charm` are the dollar change in dealer delta per vol point
+ * and per calendar day. `expirations` repeats the net figures per
+ * expiration, with `deltaRelease`: the dollar delta change if spot holds
+ * until that expiration settles. `gammaFlipPoint` is the zero-gamma level
+ * of calculateGexProfile, null when dealer gamma keeps one sign within 10%
+ * of spot.
+ * Contracts that have stopped trading by `now` are left out.
+ * @param {Array} options - Normalized option contracts
+ * @param {number} spy - Spot price
+ * @param {Object} [opts]
+ * @param {Date} [opts.now] - Valuation time, defaults to now
+ * @param {string} [opts.model='standard'] - Key of DEALER_MODELS
+ * @param {Object} [opts.weights] - { call, put } for the 'custom' model
+ * @param {number} [opts.rate] - See contractGreeks
+ * @param {number} [opts.dividendYield] - See contractGreeks
  */
-export const calculateDealerMetrics = (options, spy) => {
+export const calculateDealerMetrics = (options, spy, {
+  now = new Date(),
+  model = DEFAULT_DEALER_MODEL,
+  weights = DEFAULT_DEALER_WEIGHTS,
+  ...pricing
+} = {}) => {
   if (!options.length || !spy) return null;
 
   const strikeMap = {};
+  const expirationMap = {};
+  const dollarGamma = spy * spy * 0.01;
 
   options.forEach(opt => {
+    if (timeToExpiry(opt, now) <= 0) return;
+
     if (!strikeMap[opt.strike]) {
       strikeMap[opt.strike] = {
         strike: opt.strike,
@@ -59,44 +369,85 @@ export const calculateDealerMetrics = (options, spy) => {
         putGamma: 0,
         callDelta: 0,
         putDelta: 0,
+        callGEX: 0,
+        putGEX: 0,
+        callVanna: 0,
+        putVanna: 0,
+        callCharm: 0,
+        putCharm: 0,
         netGamma: 0,
-        netDelta: 0
+        netDelta: 0,
+        netGEX: 0,
+        netVanna: 0,
+        netCharm: 0
+      };
+    }
+    if (!expirationMap[opt.expiration]) {
+      expirationMap[opt.expiration] = {
+        expiration: opt.expiration,
+        daysToExp: opt.daysToExp,
+        netGEX: 0,
+        netVanna: 0,
+        netCharm: 0,
+        deltaRelease: 0
       };
     }
 
-    const notional = opt.oi * 100 * -1; // Dealers are short customer longs
-
-    if (opt.type === 'CALL') {
-      strikeMap[opt.strike].callGamma += opt.gamma * notional;
-      strikeMap[opt.strike].callDelta += opt.delta * notional;
+    const isCall = opt.type === 'CALL';
+    const position = opt.oi * 100 * dealerPosition(opt, model, weights);
+    const { delta, gamma, vanna, charm } = contractGreeks(opt, spy, now, pricing);
+    const expiryDelta = calculateGreeks(spy, opt.strike, 0, 0, 0, isCall).delta;
+
+    if (isCall) {
+      strikeMap[opt.strike].callGamma += gamma * position;
+      strikeMap[opt.strike].callDelta += delta * position;
+      strikeMap[opt.strike].callGEX += gamma * position * dollarGamma;
+      strikeMap[opt.strike].callVanna += vanna * position * spy;
+      strikeMap[opt.strike].callCharm += charm * position * spy;
     } else {
-      strikeMap[opt.strike].putGamma += opt.gamma * notional;
-      strikeMap[opt.strike].putDelta += opt.delta * notional;
+      strikeMap[opt.strike].putGamma += gamma * position;
+      strikeMap[opt.strike].putDelta += delta * position;
+      strikeMap[opt.strike].putGEX += gamma * position * dollarGamma;
+      strikeMap[opt.strike].putVanna += vanna * position * spy;
+      strikeMap[opt.strike].putCharm += charm * position * spy;
     }
+
+    const byExpiration = expirationMap[opt.expiration];
+    byExpiration.netGEX += gamma * position * dollarGamma;
+    byExpiration.netVanna += vanna * position * spy;
+    byExpiration.netCharm += charm * position * spy;
+    byExpiration.deltaRelease += (expiryDelta - delta) * position * spy;
   });
 
   Object.values(strikeMap).forEach(s => {
     s.netGamma = s.callGamma + s.putGamma;
     s.netDelta = s.callDelta + s.putDelta;
+    s.netGEX = s.callGEX + s.putGEX;
+    s.netVanna = s.callVanna + s.putVanna;
+    s.netCharm = s.callCharm + s.putCharm;
   });
 
   const strikes = Object.values(strikeMap).sort((a, b) => a.strike - b.strike);
+  if (strikes.length === 0) return null;
   const totalGamma = strikes.reduce((sum, s) => sum + s.netGamma, 0);
   const totalDelta = strikes.reduce((sum, s) => sum + s.netDelta, 0);
+  const totalGEX = strikes.reduce((sum, s) => sum + s.netGEX, 0);
+  const totalVanna = strikes.reduce((sum, s) => sum + s.netVanna, 0);
+  const totalCharm = strikes.reduce((sum, s) => sum + s.netCharm, 0);
 
-  // Find gamma flip point
-  let gammaFlip = null;
-  for (let i = 0; i < strikes.length - 1; i++) {
-    if (strikes[i].netGamma * strikes[i + 1].netGamma < 0) {
-      gammaFlip = (strikes[i].strike + strikes[i + 1].strike) / 2;
-      break;
-    }
-  }
+  // Gamma flip: calculateGexProfile's zero-gamma level, so the panels and
+  // the prediction all use the one repriced root
+  const gammaFlip = calculateGexProfile(options, spy, { now, model, weights, ...pricing })?.zeroGamma ?? null;
 
   return {
     strikes,
     totalGamma,
     totalDelta,
+    totalGEX,
+    totalVanna,
+    totalCharm,
+    expirations: Object.values(expirationMap).sort((a, b) => a.expiration.localeCompare(b.expiration)),
+    model,
     gammaFlipPoint: gammaFlip,
     isShortGamma: totalGamma < 0,
     maxGammaStrike: strikes.reduce((max, s) =>
@@ -104,56 +455,182 @@ export const calculateDealerMetrics = (options, spy) => {
   };
 };
 
+// Gamma alone, for repricing whole chains many times over
+const bsmGamma = (S, K, T, r, q, sigma) => {
+  const { d1, sqrtT } = bsmD1D2(S, K, T, r, q, sigma);
+  return Math.exp(-q * T) * normalPDF(d1) / (S * sigma * sqrtT);
+};
+
+/**
+ * Dealer gamma exposure re-evaluated over a grid of hypothetical spot prices
+ *
+ * Every contract is repriced at each level with its IV and time left held
+ * fixed, so the zero-gamma level is where total dealer gamma actually
+ * changes sign rather than a midpoint between strikes. Contracts without
+ * an IV can't be repriced and are only counted in `excluded`.
+ * @param {Array} options - Normalized option contracts
+ * @param {number} spy - Spot price
+ * @param {Object} [opts] - now/model/weights/rate/dividendYield as for
+ *   calculateDealerMetrics, plus:
+ * @param {number} [opts.range=0.1] - Grid half-width as a fraction of spot
+ * @param {number} [opts.steps=81] - Grid points
+ * @returns {Object|null} { points: [{ spot, gex }], spotGEX, zeroGamma,
+ *   hedgingFlow: { up, down }, excluded } - GEX in dollars per 1% move;
+ *   hedgingFlow is the dollars of underlying dealers trade to re-hedge
+ *   after a 1% move up or down (positive = buying)
+ */
+export const calculateGexProfile = (options, spy, {
+  now = new Date(),
+  model = DEFAULT_DEALER_MODEL,
+  weights = DEFAULT_DEALER_WEIGHTS,
+  rate = DEFAULT_RATE,
+  dividendYield = 0,
+  range = 0.1,
+  steps = 81
+} = {}) => {
+  if (!options?.length || !spy) return null;
+
+  let excluded = 0;
+  const positions = [];
+  options.forEach(opt => {
+    const T = timeToExpiry(opt, now);
+    if (T <= 0 || !opt.oi) return;
+    const iv = contractIV(opt);
+    if (iv === null) {
+      excluded++;
+      return;
+    }
+    positions.push({
+      strike: opt.strike,
+      T,
+      iv,
+      isCall: opt.type === 'CALL',
+      size: opt.oi * 100 * dealerPosition(opt, model, weights)
+    });
+  });
+  if (positions.length === 0) return null;
+
+  const dealerGamma = (S) => positions.reduce(
+    (sum, p) => sum + p.size * bsmGamma(S, p.strike, p.T, rate, dividendYield, p.iv), 0
+  );
+  const dealerDelta = (S) => positions.reduce(
+    (sum, p) => sum + p.size * calculateGreeks(S, p.strike, p.T, rate, p.iv, p.isCall, dividendYield).delta, 0
+  );
+  const gex = (S) => dealerGamma(S) * S * S * 0.01;
+
+  const points = [];
+  for (let i = 0; i < steps; i++) {
+    const level = spy * (1 - range + (2 * range * i) / (steps - 1));
+    points.push({ spot: level, gex: gex(level) });
+  }
+
+  // Zero-gamma: the sign change nearest spot, pinned down between grid points
+  let zeroGamma = null;
+  for (let i = 0; i < points.length - 1; i++) {
+    if (points[i].gex * points[i + 1].gex >= 0) continue;
+    const root = brentRoot(dealerGamma, points[i].spot, points[i + 1].spot, 1e-6);
+    if (root !== null && (zeroGamma === null || Math.abs(root - spy) < Math.abs(zeroGamma - spy))) {
+      zeroGamma = root;
+    }
+  }
+
+  // Dealers hold delta constant: a change in their options' delta is
+  // offset by trading the opposite amount of underlying
+  const baseDelta = dealerDelta(spy);
+  const flow = (move) => {
+    const level = spy * (1 + move);
+    return -(dealerDelta(level) - baseDelta) * level;
+  };
+
+  return {
+    points,
+    spotGEX: gex(spy),
+    zeroGamma,
+    hedgingFlow: { up: flow(0.01), down: flow(-0.01) },
+    excluded
+  };
+};
+
 /**
  * Calculate volatility metrics from options chain
+ *
+ * Metrics that can't be derived from the chain (no ATM strikes, no traded
+ * volume, no VIX quote, no realized vol) come back as null rather than a
+ * misleading number.
+ * @param {Array} options - Normalized option contracts
+ * @param {number} spy - Spot price
+ * @param {number|null} vix - VIX level
+ * @param {number|null} historicalVol - Annualized realized vol (see realizedVolatility.js)
  */
-export const calculateVolatilityMetrics = async (options, spy, vix) => {
+export const calculateVolatilityMetrics = async (options, spy, vix, historicalVol = null) => {
   if (!options.length) return null;
 
-  const atmOpts = options.filter(o => Math.abs(o.strike - spy) < 5);
-  const atmIV = atmOpts.reduce((sum, o) => sum + o.iv, 0) / atmOpts.length;
+  // Contracts without a usable IV are left out rather than averaged in as zero
+  const mean = (arr) => {
+    const ivs = arr.map(contractIV).filter(iv => iv !== null);
+    return ivs.length > 0 ? ivs.reduce((s, iv) => s + iv, 0) / ivs.length : null;
+  };
+
+  // ~$5 either side on SPY, scaled so SPX or a $50 stock get a comparable band
+  const atmOpts = options.filter(o => Math.abs(o.strike - spy) < spy * 0.0085);
+  const atmIV = mean(atmOpts);
 
   const calls = options.filter(o => o.type === 'CALL');
   const puts = options.filter(o => o.type === 'PUT');
-  const pcrVol = puts.reduce((s, p) => s + p.volume, 0) / Math.max(1, calls.reduce((s, c) => s + c.volume, 0));
+  const callVolume = calls.reduce((s, c) => s + c.volume, 0);
+  const putVolume = puts.reduce((s, p) => s + p.volume, 0);
+  const pcrVol = callVolume + putVolume > 0 ? putVolume / Math.max(1, callVolume) : null;
   const pcrOI = puts.reduce((s, p) => s + p.oi, 0) / Math.max(1, calls.reduce((s, c) => s + c.oi, 0));
 
   const otmPuts = options.filter(o => o.type === 'PUT' && o.strike < spy * 0.95);
   const otmCalls = options.filter(o => o.type === 'CALL' && o.strike > spy * 1.05);
-  const putIV = otmPuts.length > 0 ? otmPuts.reduce((s, o) => s + o.iv, 0) / otmPuts.length : atmIV;
-  const callIV = otmCalls.length > 0 ? otmCalls.reduce((s, o) => s + o.iv, 0) / otmCalls.length : atmIV;
-  const ivSkew = putIV - callIV;
+  const putIV = mean(otmPuts) ?? atmIV;
+  const callIV = mean(otmCalls) ?? atmIV;
+  const ivSkew = putIV !== null && callIV !== null ? putIV - callIV : null;
 
-  const hv = 0.15; // Would need historical calculation
+  const hv = historicalVol ?? null;
 
   return {
     atmIV,
     historicalVol: hv,
-    ivHVSpread: atmIV - hv,
+    ivHVSpread: atmIV !== null && hv !== null ? atmIV - hv : null,
     pcrVolume: pcrVol,
     pcrOI,
     ivSkew,
-    vixLevel: vix
+    vixLevel: vix ?? null
   };
 };
 
 /**
- * Calculate IV skew curve
+ * IV skew curve of the front expiration, by strike within 5% of spot
+ *
+ * Uses the nearest expiration at least a day out (today's smile collapses
+ * into the close), or today's when nothing else is loaded. Expired
+ * contracts are skipped. The full multi-expiration smile fit lives in
+ * volSurface.js.
+ * @returns {Array} [{ strike, expiration, moneyness, callIV, putIV, avgIV }]
+ *   in percent, null where that side has no IV
  */
-export const calculateSkewCurve = (options, spy) => {
-  const firstExp = options.filter(o => o.daysToExp < 8);
+export const calculateSkewCurve = (options, spy, now = new Date()) => {
+  const live = options.filter(o => timeToExpiry(o, now) > 0);
+  const expirations = [...new Set(live.map(o => o.expiration))].sort();
+  const front = expirations.find(exp => live.some(o => o.expiration === exp && o.daysToExp >= 1))
+    || expirations[0];
   const strikeIVMap = {};
 
-  firstExp.forEach(opt => {
+  live.filter(o => o.expiration === front).forEach(opt => {
+    const iv = contractIV(opt);
+    if (iv === null) return;
+
     const key = opt.strike;
     if (!strikeIVMap[key]) {
       strikeIVMap[key] = { strike: key, callIV: 0, putIV: 0, calls: 0, puts: 0 };
     }
     if (opt.type === 'CALL') {
-      strikeIVMap[key].callIV += opt.iv;
+      strikeIVMap[key].callIV += iv;
       strikeIVMap[key].calls++;
     } else {
-      strikeIVMap[key].putIV += opt.iv;
+      strikeIVMap[key].putIV += iv;
       strikeIVMap[key].puts++;
     }
   });
@@ -161,26 +638,36 @@ export const calculateSkewCurve = (options, spy) => {
   return Object.values(strikeIVMap)
     .map(s => ({
       strike: s.strike,
-      moneyness: ((s.strike / spy - 1) * 100).toFixed(1),
-      callIV: s.calls > 0 ? (s.callIV / s.calls * 100).toFixed(2) : 0,
-      putIV: s.puts > 0 ? (s.putIV / s.puts * 100).toFixed(2) : 0,
-      avgIV: ((s.callIV / s.calls + s.putIV / s.puts) / 2 * 100).toFixed(2)
+      expiration: front,
+      moneyness: (s.strike / spy - 1) * 100,
+      callIV: s.calls > 0 ? s.callIV / s.calls * 100 : null,
+      putIV: s.puts > 0 ? s.putIV / s.puts * 100 : null,
+      avgIV: (s.callIV + s.putIV) / (s.calls + s.puts) * 100
     }))
-    .filter(s => Math.abs(s.strike - spy) < 30)
+    .filter(s => Math.abs(s.strike - spy) < spy * 0.05)
     .sort((a, b) => a.strike - b.strike);
 };
 
+const isAvailable = (value) => value !== null && value !== undefined && Number.isFinite(value);
+
 /**
  * Generate market prediction from metrics
+ *
+ * Inputs that are null/undefined/NaN are treated as unavailable: the signal
+ * that depends on them is skipped and listed in `excluded` instead of
+ * being scored.
  */
 export const generatePrediction = (volMetrics, dealerMetrics, spy, skew) => {
   if (!volMetrics || !dealerMetrics) return null;
 
   let bull = 0, bear = 0;
   const signals = [];
+  const excluded = [];
 
   if (dealerMetrics.isShortGamma) {
-    if (spy > dealerMetrics.gammaFlipPoint) {
+    if (!isAvailable(spy) || !isAvailable(dealerMetrics.gammaFlipPoint)) {
+      excluded.push({ factor: 'Dealer Gamma vs Flip', reason: isAvailable(spy) ? 'No gamma flip in chain' : 'Spot price unavailable' });
+    } else if (spy > dealerMetrics.gammaFlipPoint) {
       bull += 2;
       signals.push({ factor: 'Dealer Short Gamma Above Flip', sentiment: 'bullish', weight: 2 });
     } else {
@@ -192,7 +679,9 @@ export const generatePrediction = (volMetrics, dealerMetrics, spy, skew) => {
     signals.push({ factor: 'Dealer Long Gamma (Dampening)', sentiment: 'bearish', weight: 1 });
   }
 
-  if (volMetrics.pcrVolume > 1.2) {
+  if (!isAvailable(volMetrics.pcrVolume)) {
+    excluded.push({ factor: 'Put/Call Volume Ratio', reason: 'No option volume' });
+  } else if (volMetrics.pcrVolume > 1.2) {
     bull += 1;
     signals.push({ factor: 'High Put Buying (PCR > 1.2)', sentiment: 'bullish', weight: 1 });
   } else if (volMetrics.pcrVolume < 0.7) {
@@ -200,7 +689,9 @@ export const generatePrediction = (volMetrics, dealerMetrics, spy, skew) => {
     signals.push({ factor: 'High Call Buying (PCR < 0.7)', sentiment: 'bearish', weight: 1 });
   }
 
-  if (volMetrics.ivHVSpread > 0.05) {
+  if (!isAvailable(volMetrics.ivHVSpread)) {
+    excluded.push({ factor: 'IV/HV Spread', reason: 'ATM IV or historical vol unavailable' });
+  } else if (volMetrics.ivHVSpread > 0.05) {
     bear += 1;
     signals.push({ factor: 'IV Premium to HV (Fear)', sentiment: 'bearish', weight: 1 });
   } else if (volMetrics.ivHVSpread < -0.02) {
@@ -208,7 +699,9 @@ export const generatePrediction = (volMetrics, dealerMetrics, spy, skew) => {
     signals.push({ factor: 'IV Discount to HV', sentiment: 'bullish', weight: 1 });
   }
 
-  if (volMetrics.vixLevel > 25) {
+  if (!isAvailable(volMetrics.vixLevel)) {
+    excluded.push({ factor: 'VIX Level', reason: 'VIX unavailable' });
+  } else if (volMetrics.vixLevel > 25) {
     bull += 2;
     signals.push({ factor: 'Elevated VIX (>25)', sentiment: 'bullish', weight: 2 });
   } else if (volMetrics.vixLevel < 12) {
@@ -216,12 +709,16 @@ export const generatePrediction = (volMetrics, dealerMetrics, spy, skew) => {
     signals.push({ factor: 'Low VIX (<12)', sentiment: 'bearish', weight: 1 });
   }
 
-  if (volMetrics.ivSkew > 0.05) {
+  if (!isAvailable(volMetrics.ivSkew)) {
+    excluded.push({ factor: 'Put Skew', reason: 'No OTM/ATM IV in chain' });
+  } else if (volMetrics.ivSkew > 0.05) {
     bear += 1;
     signals.push({ factor: 'High Put Skew (>5%)', sentiment: 'bearish', weight: 1 });
   }
 
-  if (skew > 140) {
+  if (!isAvailable(skew)) {
+    excluded.push({ factor: 'CBOE SKEW', reason: 'SKEW unavailable' });
+  } else if (skew > 140) {
     bear += 2;
     signals.push({ factor: 'Elevated SKEW (>140)', sentiment: 'bearish', weight: 2 });
   } else if (skew < 120) {
@@ -229,10 +726,13 @@ export const generatePrediction = (volMetrics, dealerMetrics, spy, skew) => {
     signals.push({ factor: 'Low SKEW (<120)', sentiment: 'bullish', weight: 1 });
   }
 
+  const total = bull + bear;
+
   return {
-    prediction: bull > bear ? 'BULLISH' : 'BEARISH',
-    confidence: Math.abs(bull - bear) / (bull + bear),
+    prediction: total === 0 ? 'NEUTRAL' : bull > bear ? 'BULLISH' : 'BEARISH',
+    confidence: total === 0 ? 0 : Math.abs(bull - bear) / total,
     signals,
+    excluded,
     bullishScore: bull,
     bearishScore: bear,
     timestamp: new Date().toISOString(),
@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import {
+  blackScholesPrice,
+  calculateGreeks,
+  impliedVolatility,
+  contractImpliedVols,
+  withImpliedVols,
+  contractGreeks,
+  calculateDealerMetrics,
+  calculateGexProfile,
+  generatePrediction,
+  DEFAULT_RATE
+} from './optionsCalculations';
+
+const S = 100;
+const r = DEFAULT_RATE;
+const q = 0.013;
+
+describe('impliedVolatility', () => {
+  const strikes = [60, 80, 95, 100, 105, 120, 150];
+  const expiries = [1 / 365, 7 / 365, 30 / 365, 0.5, 2];
+  const vols = [0.08, 0.25, 0.6, 1.5];
+  const cases = strikes.flatMap(K => expiries.flatMap(T => vols.flatMap(sigma =>
+    [true, false].map(isCall => ({ K, T, sigma, isCall, price: blackScholesPrice(S, K, T, r, sigma, isCall, q) }))
+  )));
+  // Prices too far below a cent, or too close to intrinsic value, don't pin
+  // down a vol in double precision
+  const priced = cases.filter(({ K, T, isCall, price }) => {
+    const intrinsic = Math.max(0, isCall ? S * Math.exp(-q * T) - K * Math.exp(-r * T) : K * Math.exp(-r * T) - S * Math.exp(-q * T));
+    return price > 1e-4 && price - intrinsic > 1e-4;
+  });
+
+  it('covers the wings, the money and every expiry', () => {
+    expect(priced.length).toBeGreaterThan(cases.length * 2 / 3);
+    expect(new Set(priced.map(c => c.K)).size).toBe(strikes.length);
+    expect(new Set(priced.map(c => c.T)).size).toBe(expiries.length);
+  });
+
+  it('round-trips price -> IV -> price', () => {
+    priced.forEach(({ K, T, sigma, isCall, price }) => {
+      const iv = impliedVolatility(price, S, K, T, r, isCall, q);
+      expect(iv).not.toBeNull();
+      expect(Math.abs(blackScholesPrice(S, K, T, r, iv, isCall, q) - price)).toBeLessThan(1e-8);
+      // The vol itself is only as well determined as vega allows
+      const { vega } = calculateGreeks(S, K, T, r, sigma, isCall, q);
+      if (vega * 100 > 1e-3) expect(Math.abs(iv - sigma)).toBeLessThan(1e-6);
+    });
+  });
+
+  it('returns null at or outside the no-arbitrage bounds', () => {
+    const T = 0.25;
+    const carry = Math.exp(-q * T);
+    const discount = Math.exp(-r * T);
+    // Below intrinsic value
+    expect(impliedVolatility(S * carry - 90 * discount - 0.01, S, 90, T, r, true, q)).toBeNull();
+    expect(impliedVolatility(110 * discount - S * carry - 0.01, S, 110, T, r, false, q)).toBeNull();
+    // At or above the spot (call) / discounted strike (put)
+    expect(impliedVolatility(S * carry, S, 100, T, r, true, q)).toBeNull();
+    expect(impliedVolatility(100 * discount + 0.01, S, 100, T, r, false, q)).toBeNull();
+  });
+
+  it('returns null for missing prices and expired contracts', () => {
+    expect(impliedVolatility(0, S, 100, 0.25, r, true)).toBeNull();
+    expect(impliedVolatility(NaN, S, 100, 0.25, r, true)).toBeNull();
+    expect(impliedVolatility(2, S, 100, 0, r, true)).toBeNull();
+  });
+});
+
+describe('contractImpliedVols', () => {
+  const now = new Date('2026-10-16T15:00:00Z');
+  const T = 30 / 365;
+  const quoted = (strike, type, sigma, halfSpread = 0.05) => {
+    const price = blackScholesPrice(S, strike, T, r, sigma, type === 'CALL', q);
+    return { strike, type, daysToExp: 30, bid: price - halfSpread, ask: price + halfSpread, iv: null, gamma: null };
+  };
+
+  it('solves bid, mid and ask vols in order', () => {
+    const { bidIV, midIV, askIV, ivUnsolvable } = contractImpliedVols(quoted(100, 'CALL', 0.22), S, now, { dividendYield: q });
+    expect(midIV).toBeCloseTo(0.22, 10);
+    expect(bidIV).toBeLessThan(midIV);
+    expect(askIV).toBeGreaterThan(midIV);
+    expect(ivUnsolvable).toBe(false);
+  });
+
+  it('flags a zero bid', () => {
+    const opt = { ...quoted(130, 'CALL', 0.2), bid: 0, ask: 0.05 };
+    const result = contractImpliedVols(opt, S, now, { dividendYield: q });
+    expect(result.bidIV).toBeNull();
+    expect(result.midIV).toBeNull();
+    expect(result.askIV).not.toBeNull();
+    expect(result.ivUnsolvable).toBe(true);
+  });
+
+  it('flags a crossed market', () => {
+    const opt = quoted(100, 'PUT', 0.25);
+    const result = contractImpliedVols({ ...opt, bid: opt.ask, ask: opt.bid }, S, now, { dividendYield: q });
+    expect(result.midIV).toBeNull();
+    expect(result.ivUnsolvable).toBe(true);
+  });
+
+  it('flags a mid outside the no-arbitrage bounds', () => {
+    // Deep ITM put quoted below intrinsic value
+    const result = contractImpliedVols({ strike: 130, type: 'PUT', daysToExp: 30, bid: 28, ask: 28.5 }, S, now);
+    expect(result.midIV).toBeNull();
+    expect(result.ivUnsolvable).toBe(true);
+  });
+
+  it('does not flag unquoted or expired contracts', () => {
+    expect(contractImpliedVols({ strike: 100, type: 'CALL', daysToExp: 30, bid: 0, ask: 0 }, S, now).ivUnsolvable).toBe(false);
+    expect(contractImpliedVols({ ...quoted(100, 'CALL', 0.2), daysToExp: 0 }, S, now).ivUnsolvable).toBe(false);
+  });
+});
+
+describe('contractGreeks from solved vols', () => {
+  const now = new Date('2026-10-16T15:00:00Z');
+  const T = 30 / 365;
+
+  it('recomputes every Greek from the mid IV when the vendor sent none', () => {
+    const price = blackScholesPrice(S, 105, T, r, 0.3, false, q);
+    const opt = withImpliedVols(
+      { strike: 105, type: 'PUT', daysToExp: 30, bid: price - 0.1, ask: price + 0.1, iv: null, delta: null, gamma: null },
+      S, now, { dividendYield: q }
+    );
+    const greeks = contractGreeks(opt, S, now, { dividendYield: q });
+    const expected = calculateGreeks(S, 105, T, r, opt.midIV, false, q);
+
+    expect(opt.midIV).toBeCloseTo(0.3, 10);
+    Object.keys(expected).forEach(key => expect(greeks[key]).toBeCloseTo(expected[key], 12));
+    expect(greeks.gamma).toBeGreaterThan(0);
+  });
+
+  it('prefers the vendor IV over the solved one', () => {
+    const opt = { strike: 100, type: 'CALL', daysToExp: 30, iv: 0.18, midIV: 0.3 };
+    expect(contractGreeks(opt, S, now).gamma).toBeCloseTo(calculateGreeks(S, 100, T, r, 0.18, true).gamma, 12);
+  });
+
+  it('keeps the vendor Greeks when no IV could be solved', () => {
+    const opt = { strike: 100, type: 'CALL', daysToExp: 30, iv: null, midIV: null, delta: 0.52, gamma: 0.04, ivUnsolvable: true };
+    const greeks = contractGreeks(opt, S, now);
+    expect(greeks.delta).toBe(0.52);
+    expect(greeks.gamma).toBe(0.04);
+  });
+});
+
+describe('gamma flip', () => {
+  const now = new Date('2026-10-16T15:00:00Z');
+  const chain = [90, 95, 100, 105, 110].flatMap(strike => [
+    { strike, type: 'CALL', expiration: '2026-11-20', daysToExp: 35, iv: 0.2, oi: strike >= 100 ? 5000 : 500 },
+    { strike, type: 'PUT', expiration: '2026-11-20', daysToExp: 35, iv: 0.25, oi: strike <= 100 ? 8000 : 500 }
+  ]);
+
+  it('is the GEX profile\'s repriced zero-gamma level', () => {
+    const metrics = calculateDealerMetrics(chain, S, { now });
+    const profile = calculateGexProfile(chain, S, { now });
+    expect(profile.zeroGamma).not.toBeNull();
+    expect(metrics.gammaFlipPoint).toBe(profile.zeroGamma);
+    // Dealer gamma repriced either side of it has opposite signs
+    const gammaAt = (level) => calculateDealerMetrics(chain, level, { now }).totalGamma;
+    expect(gammaAt(metrics.gammaFlipPoint - 0.1) * gammaAt(metrics.gammaFlipPoint + 0.1)).toBeLessThan(0);
+  });
+
+  it('drives the prediction\'s flip signal', () => {
+    const metrics = calculateDealerMetrics(chain, S, { now });
+    const volMetrics = { pcrVolume: null, ivHVSpread: null, vixLevel: null, ivSkew: null };
+    const flipSignal = (spot) => generatePrediction(volMetrics, { ...metrics, isShortGamma: true }, spot, null)
+      .signals.find(s => s.factor.includes('Flip'))?.sentiment;
+    expect(flipSignal(metrics.gammaFlipPoint + 0.01)).toBe('bullish');
+    expect(flipSignal(metrics.gammaFlipPoint - 0.01)).toBe('bearish');
+  });
+});
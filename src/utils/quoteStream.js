@@ -0,0 +1,168 @@
+// src/utils/quoteStream.js
+// Live quote and option updates - the /api/stream SSE feed, or a replay of
+// recorded events standing in for it
+//
+// A stream is a subscribe function: `stream(onEvent)` starts delivery of
+// `{ type, data }` events ('quote' | 'options' | 'end') and returns an
+// unsubscribe function.
+
+import { getMarketSession } from './marketCalendar';
+
+const STREAM_EVENTS = ['quote', 'options', 'end'];
+
+/**
+ * /api/stream URL for quote tickers and, optionally, one options root
+ * @param {Object} request
+ * @param {string[]} request.symbols - Quote tickers (SPY, ^VIX, ...)
+ * @param {string} [request.optionsRoot] - Tradier root to stream contracts for
+ * @param {string[]} [request.expirations] - YYYY-MM-DD, at most four
+ */
+export const streamUrl = ({ symbols, optionsRoot = null, expirations = [] }) => {
+  const params = new URLSearchParams({ symbols: symbols.join(',') });
+  if (optionsRoot && expirations.length > 0) {
+    params.set('options', optionsRoot);
+    params.set('expirations', expirations.join(','));
+  }
+  return `/api/stream?${params}`;
+};
+
+/**
+ * Live stream over EventSource; a no-op where EventSource doesn't exist (SSR)
+ *
+ * EventSource reconnects on its own when the server ends a stream at its
+ * time limit or the connection drops.
+ */
+export const createEventSourceStream = (url) => (onEvent) => {
+  if (typeof EventSource === 'undefined') return () => {};
+
+  const source = new EventSource(url);
+  STREAM_EVENTS.forEach(type => {
+    source.addEventListener(type, (e) => {
+      try {
+        onEvent({ type, data: JSON.parse(e.data) });
+      } catch (error) {
+        console.log('⚠️ Bad stream event:', error.message);
+      }
+    });
+  });
+  source.onerror = () => console.log('⚠️ Stream interrupted, reconnecting...');
+
+  return () => source.close();
+};
+
+/**
+ * Replay recorded events (`{ type, data, at }`, `at` in ms from the start)
+ * on their original spacing
+ * @param {Array} events - As captured by recordStream
+ * @param {Object} [opts]
+ * @param {number} [opts.speed=1] - Playback rate; Infinity delivers synchronously
+ * @param {boolean} [opts.loop=false] - Start over after the last event
+ */
+export const createReplayStream = (events, { speed = 1, loop = false } = {}) => (onEvent) => {
+  let timer = null;
+  let stopped = false;
+
+  if (speed === Infinity) {
+    events.forEach(({ type, data }) => onEvent({ type, data }));
+    return () => {};
+  }
+
+  const play = (index) => {
+    if (stopped) return;
+    if (index >= events.length) {
+      if (loop && events.length > 0) play(0);
+      return;
+    }
+    const wait = index === 0 ? events[0].at : events[index].at - events[index - 1].at;
+    timer = setTimeout(() => {
+      onEvent({ type: events[index].type, data: events[index].data });
+      play(index + 1);
+    }, Math.max(0, wait / speed));
+  };
+
+  play(0);
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+/**
+ * Capture a stream's events with their timing for createReplayStream
+ * @returns {{ events: Array, stop: Function }}
+ */
+export const recordStream = (stream) => {
+  const events = [];
+  const started = Date.now();
+  const stop = stream(({ type, data }) => events.push({ type, data, at: Date.now() - started }));
+  return { events, stop };
+};
+
+/**
+ * Fold a quote tick into a fetchCurrentPrices result
+ *
+ * Ticks for symbols the result doesn't carry, and unavailable ticks (keep
+ * the last good value), leave it unchanged.
+ */
+export const applyQuoteTick = (prices, tick) => {
+  if (!prices?.quotes || !tick?.available) return prices;
+
+  const key = Object.keys(prices.quotes).find(k => prices.quotes[k]?.symbol === tick.symbol);
+  if (!key) return prices;
+
+  return {
+    ...prices,
+    [key]: tick.value,
+    status: { ...prices.status, [key]: true },
+    quotes: {
+      ...prices.quotes,
+      [key]: {
+        ...tick,
+        // Recorded ticks may predate previousClose
+        previousClose: tick.previousClose ?? prices.quotes[key].previousClose ?? null,
+        fallback: false,
+        session: tick.asOf ? getMarketSession(new Date(tick.asOf)) : null
+      }
+    }
+  };
+};
+
+const contractKey = (c) => `${c.expiration}|${c.strike}|${c.type}`;
+
+// Set by fetchOptionsChain per expiration; streamed contracts don't carry them
+const EXPIRY_FIELDS = ['daysToExp', 'tradingMinutesToExp', 'expiresAt'];
+
+const expiryOf = (opt) => Object.fromEntries(EXPIRY_FIELDS.map(field => [field, opt[field]]));
+
+/**
+ * Merge streamed contracts into a loaded chain
+ *
+ * Contracts are matched on expiration+strike+type and keep the chain's
+ * expiry fields. A simulated chain is left alone: live contracts would only
+ * mix real and synthetic positioning.
+ * @param {Function} [prepare] - Applied to each updated or added contract,
+ *   e.g. to re-solve its implied vols from the new quotes
+ */
+export const applyOptionUpdates = (options, update, prepare = (c) => c) => {
+  if (!options?.length || !update?.contracts?.length || options.some(opt => opt.simulated)) {
+    return options;
+  }
+
+  const updates = {};
+  update.contracts.forEach(c => { updates[contractKey(c)] = c; });
+
+  const sibling = options.find(opt => opt.expiration === update.expiration);
+  const merged = options.map(opt => {
+    const next = updates[contractKey(opt)];
+    if (!next) return opt;
+    delete updates[contractKey(opt)];
+    return prepare({ ...opt, ...next, ...expiryOf(opt) });
+  });
+
+  // Strikes listed since the chain loaded; an expiration the chain doesn't
+  // hold isn't being displayed, so it's skipped
+  if (sibling) {
+    Object.values(updates).forEach(c => merged.push(prepare({ ...c, ...expiryOf(sibling) })));
+  }
+  return merged;
+};
@@ -0,0 +1,214 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  createReplayStream,
+  recordStream,
+  applyQuoteTick,
+  applyOptionUpdates
+} from './quoteStream';
+
+const SPY_OPEN = '2026-10-16T14:00:00.000Z';
+const SPY_AFTER = '2026-10-16T21:00:00.000Z';
+
+const tick = (value, asOf, extra = {}) => ({
+  symbol: 'SPY',
+  value,
+  available: true,
+  source: 'tradier',
+  asOf,
+  previousClose: 590.1,
+  stale: false,
+  ...extra
+});
+
+// A vendor feed pushing events on a fixed schedule (ms from subscribe)
+const scheduledFeed = (schedule) => (onEvent) => {
+  const timers = schedule.map(({ at, type, data }) => setTimeout(() => onEvent({ type, data }), at));
+  return () => timers.forEach(clearTimeout);
+};
+
+const FEED = [
+  { at: 0, type: 'quote', data: tick(591.2, SPY_OPEN) },
+  { at: 1000, type: 'options', data: { symbol: 'SPY', expiration: '2026-10-19', contracts: [] } },
+  { at: 2500, type: 'quote', data: tick(591.7, SPY_AFTER, { source: 'yahoo', stale: true }) }
+];
+
+// A fetchCurrentPrices result with a live SPY quote and a fallback VIX
+const loadedPrices = () => ({
+  symbol: 'SPY',
+  spy: 590.5,
+  vix: 14.23,
+  status: { spy: true, vix: false },
+  quotes: {
+    spy: { ...tick(590.5, SPY_OPEN), fallback: false, session: 'regular' },
+    vix: {
+      symbol: '^VIX', value: 14.23, available: false, source: 'fallback', asOf: null,
+      previousClose: null, stale: true, fallback: true, session: null
+    }
+  },
+  skew: null
+});
+
+describe('recordStream / createReplayStream', () => {
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => vi.useRealTimers());
+
+  const record = () => {
+    const recording = recordStream(scheduledFeed(FEED));
+    vi.advanceTimersByTime(3000);
+    recording.stop();
+    return recording.events;
+  };
+
+  it('records events with their offsets from the start', () => {
+    const events = record();
+    expect(events.map(e => [e.type, e.at])).toEqual([['quote', 0], ['options', 1000], ['quote', 2500]]);
+    expect(events[2].data.value).toBe(591.7);
+  });
+
+  it('replays a recording on its original spacing, scaled by speed', () => {
+    const received = [];
+    const stop = createReplayStream(record(), { speed: 2 })(event => received.push(event));
+
+    vi.advanceTimersByTime(0);
+    expect(received.map(e => e.type)).toEqual(['quote']);
+    vi.advanceTimersByTime(499);
+    expect(received).toHaveLength(1);
+    vi.advanceTimersByTime(1);
+    expect(received.map(e => e.type)).toEqual(['quote', 'options']);
+    vi.advanceTimersByTime(750);
+    expect(received).toHaveLength(3);
+    expect(received[2]).toEqual({ type: 'quote', data: FEED[2].data });
+    stop();
+  });
+
+  it('delivers synchronously at infinite speed', () => {
+    const received = [];
+    createReplayStream(record(), { speed: Infinity })(event => received.push(event));
+    expect(received.map(e => e.data)).toEqual(FEED.map(e => e.data));
+  });
+
+  it('stops delivering once unsubscribed', () => {
+    const received = [];
+    const stop = createReplayStream(record(), { loop: true })(event => received.push(event));
+    vi.advanceTimersByTime(1000);
+    stop();
+    vi.advanceTimersByTime(10000);
+    expect(received).toHaveLength(2);
+  });
+
+  it('drives applyQuoteTick like the live feed', () => {
+    let prices = loadedPrices();
+    createReplayStream(record(), { speed: Infinity })(({ type, data }) => {
+      if (type === 'quote') prices = applyQuoteTick(prices, data);
+    });
+    expect(prices.spy).toBe(591.7);
+    expect(prices.quotes.spy).toMatchObject({ value: 591.7, source: 'yahoo', asOf: SPY_AFTER, stale: true });
+  });
+});
+
+describe('applyQuoteTick', () => {
+  it('replaces value, source, asOf and stale and recomputes the session', () => {
+    const next = applyQuoteTick(loadedPrices(), tick(592.3, SPY_AFTER, { source: 'yahoo', stale: true }));
+    expect(next.spy).toBe(592.3);
+    expect(next.status.spy).toBe(true);
+    expect(next.quotes.spy).toMatchObject({
+      value: 592.3,
+      source: 'yahoo',
+      asOf: SPY_AFTER,
+      stale: true,
+      fallback: false,
+      session: 'after'
+    });
+  });
+
+  it('turns a fallback quote live', () => {
+    const vixTick = { symbol: '^VIX', value: 15.1, available: true, source: 'cboe', asOf: SPY_OPEN, stale: false };
+    const next = applyQuoteTick(loadedPrices(), vixTick);
+    expect(next.vix).toBe(15.1);
+    expect(next.status.vix).toBe(true);
+    expect(next.quotes.vix).toMatchObject({ available: true, fallback: false, source: 'cboe', session: 'regular' });
+  });
+
+  it('keeps the previous close when a tick omits it', () => {
+    const { previousClose, ...bare } = tick(592.3, SPY_OPEN);
+    expect(applyQuoteTick(loadedPrices(), bare).quotes.spy.previousClose).toBe(previousClose);
+  });
+
+  it('ignores unavailable ticks and symbols the result does not carry', () => {
+    const prices = loadedPrices();
+    expect(applyQuoteTick(prices, { ...tick(null, null), available: false })).toBe(prices);
+    expect(applyQuoteTick(prices, { ...tick(100, SPY_OPEN), symbol: 'QQQ' })).toBe(prices);
+    expect(applyQuoteTick(null, tick(592, SPY_OPEN))).toBe(null);
+  });
+});
+
+describe('applyOptionUpdates', () => {
+  const contract = (expiration, strike, type, bid, extra = {}) => ({
+    expiration, strike, type, bid, ask: bid + 0.1, oi: 100, ...extra
+  });
+
+  const expiry = (daysToExp) => ({
+    daysToExp,
+    tradingMinutesToExp: daysToExp * 390,
+    expiresAt: `expiry+${daysToExp}`
+  });
+
+  const chain = () => [
+    contract('2026-10-19', 590, 'CALL', 2.0, expiry(1)),
+    contract('2026-10-19', 590, 'PUT', 1.8, expiry(1)),
+    contract('2026-10-19', 595, 'CALL', 0.6, expiry(1)),
+    contract('2026-10-20', 590, 'CALL', 2.6, expiry(2))
+  ];
+
+  it('merges contracts by expiration, strike and type and keeps untouched strikes', () => {
+    const options = chain();
+    const merged = applyOptionUpdates(options, {
+      expiration: '2026-10-19',
+      contracts: [contract('2026-10-19', 590, 'CALL', 2.4)]
+    });
+
+    expect(merged).toHaveLength(4);
+    expect(merged[0]).toMatchObject({ bid: 2.4, daysToExp: 1, expiresAt: 'expiry+1' });
+    // Same strike, other type and other expiration untouched
+    expect(merged[1]).toBe(options[1]);
+    expect(merged[2]).toBe(options[2]);
+    expect(merged[3]).toBe(options[3]);
+  });
+
+  it('adds newly listed strikes with the expiration\'s expiry fields', () => {
+    const merged = applyOptionUpdates(chain(), {
+      expiration: '2026-10-19',
+      contracts: [contract('2026-10-19', 600, 'CALL', 0.2)]
+    });
+    expect(merged).toHaveLength(5);
+    expect(merged[4]).toMatchObject({ strike: 600, ...expiry(1) });
+  });
+
+  it('skips expirations the chain does not hold', () => {
+    const options = chain();
+    const merged = applyOptionUpdates(options, {
+      expiration: '2026-10-21',
+      contracts: [contract('2026-10-21', 590, 'CALL', 3)]
+    });
+    expect(merged).toEqual(options);
+  });
+
+  it('re-runs prepare on every updated or added contract only', () => {
+    const prepare = vi.fn(c => ({ ...c, iv: c.bid / 10 }));
+    const merged = applyOptionUpdates(chain(), {
+      expiration: '2026-10-19',
+      contracts: [contract('2026-10-19', 595, 'CALL', 0.8), contract('2026-10-19', 600, 'PUT', 9)]
+    }, prepare);
+
+    expect(prepare).toHaveBeenCalledTimes(2);
+    expect(merged[2].iv).toBeCloseTo(0.08);
+    expect(merged[4].iv).toBeCloseTo(0.9);
+    expect(merged[0].iv).toBeUndefined();
+  });
+
+  it('leaves a simulated chain alone', () => {
+    const options = chain().map(c => ({ ...c, simulated: true }));
+    const update = { expiration: '2026-10-19', contracts: [contract('2026-10-19', 590, 'CALL', 5)] };
+    expect(applyOptionUpdates(options, update)).toBe(options);
+  });
+});
@@ -0,0 +1,118 @@
+// src/utils/realizedVolatility.js
+// Realized (historical) volatility estimators from OHLC bars
+
+export const REALIZED_VOL_ESTIMATORS = {
+  closeToClose: 'Close-to-Close',
+  parkinson: 'Parkinson',
+  garmanKlass: 'Garman-Klass',
+  yangZhang: 'Yang-Zhang'
+};
+
+export const TRADING_DAYS_PER_YEAR = 252;
+
+const mean = (arr) => arr.reduce((s, v) => s + v, 0) / arr.length;
+
+// Sample variance (n - 1)
+const variance = (arr) => {
+  const m = mean(arr);
+  return arr.reduce((s, v) => s + (v - m) * (v - m), 0) / (arr.length - 1);
+};
+
+const hasOHLC = (bar) => bar && bar.open > 0 && bar.high > 0 && bar.low > 0 && bar.close > 0;
+
+/**
+ * Close-to-close: sample variance of log returns
+ */
+export const closeToCloseVariance = (bars) => {
+  const returns = [];
+  for (let i = 1; i < bars.length; i++) {
+    returns.push(Math.log(bars[i].close / bars[i - 1].close));
+  }
+  return returns.length > 1 ? variance(returns) : null;
+};
+
+/**
+ * Parkinson (1980): high-low range, assumes no drift and no opening gaps
+ */
+export const parkinsonVariance = (bars) => {
+  const terms = bars.slice(1).map(b => Math.log(b.high / b.low) ** 2);
+  return terms.length > 0 ? mean(terms) / (4 * Math.LN2) : null;
+};
+
+/**
+ * Garman-Klass (1980): range plus open-to-close, assumes no opening gaps
+ */
+export const garmanKlassVariance = (bars) => {
+  const terms = bars.slice(1).map(b =>
+    0.5 * Math.log(b.high / b.low) ** 2 - (2 * Math.LN2 - 1) * Math.log(b.close / b.open) ** 2
+  );
+  return terms.length > 0 ? mean(terms) : null;
+};
+
+/**
+ * Yang-Zhang (2000): overnight + open-to-close + Rogers-Satchell, handles
+ * both drift and opening gaps
+ */
+export const yangZhangVariance = (bars) => {
+  const n = bars.length - 1;
+  if (n < 2) return null;
+
+  const overnight = [];
+  const openToClose = [];
+  const rogersSatchell = [];
+
+  for (let i = 1; i < bars.length; i++) {
+    const { open, high, low, close } = bars[i];
+    overnight.push(Math.log(open / bars[i - 1].close));
+    openToClose.push(Math.log(close / open));
+    rogersSatchell.push(
+      Math.log(high / close) * Math.log(high / open) + Math.log(low / close) * Math.log(low / open)
+    );
+  }
+
+  const k = 0.34 / (1.34 + (n + 1) / (n - 1));
+  return variance(overnight) + k * variance(openToClose) + (1 - k) * mean(rogersSatchell);
+};
+
+const VARIANCE_FNS = {
+  closeToClose: closeToCloseVariance,
+  parkinson: parkinsonVariance,
+  garmanKlass: garmanKlassVariance,
+  yangZhang: yangZhangVariance
+};
+
+/**
+ * Annualized realized volatility over the most recent `window` daily bars
+ * @param {Array} bars - Daily bars with open/high/low/close, oldest first
+ * @param {Object} [opts]
+ * @param {string} [opts.estimator='closeToClose'] - Key of REALIZED_VOL_ESTIMATORS
+ * @param {number} [opts.window=20] - Number of bars (returns) in the sample
+ * @returns {number|null} Decimal volatility (0.15 = 15%), null if the bars can't support it
+ */
+export const calculateRealizedVol = (bars, {
+  estimator = 'closeToClose',
+  window = 20
+} = {}) => {
+  const varianceFn = VARIANCE_FNS[estimator];
+  if (!varianceFn || !bars || bars.length < 3) return null;
+
+  // One extra bar for the first return / overnight gap
+  const sample = bars.slice(-(window + 1));
+  const needsOHLC = estimator !== 'closeToClose';
+  if (sample.some(b => needsOHLC ? !hasOHLC(b) : !(b?.close > 0))) return null;
+
+  const v = varianceFn(sample);
+  if (v === null || !isFinite(v) || v < 0) return null;
+  return Math.sqrt(v * TRADING_DAYS_PER_YEAR);
+};
+
+/**
+ * Every estimator over the same window, for side-by-side display
+ */
+export const calculateAllRealizedVols = (bars, opts = {}) => {
+  const result = {};
+  Object.keys(REALIZED_VOL_ESTIMATORS).forEach(estimator => {
+    result[estimator] = calculateRealizedVol(bars, { ...opts, estimator });
+  });
+  return result;
+};
@@ -0,0 +1,164 @@
+// src/utils/snapshotStore.js
+// Daily snapshots of chain-derived metrics (dealer gamma, put/call ratios,
+// IV term structure, SKEW)
+// so the history series can show recorded values instead of made-up ones
+
+import { calculateDealerMetrics, calculateVolatilityMetrics, DEFAULT_DEALER_MODEL } from './optionsCalculations';
+import { calculateTermStructure } from './termStructure';
+import { getSymbolConfig } from './symbols';
+
+const STORAGE_KEY = 'spy-dashboard:snapshots:v1';
+const storageKey = (symbol) => `${STORAGE_KEY}:${symbol}`;
+const MAX_DAYS = 750; // ~3 years of sessions
+
+// Browsers persist to localStorage; anywhere else (SSR, scripts) the store
+// lives for the process only
+const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); }
+  };
+};
+
+let defaultStorage = null;
+
+const getDefaultStorage = () => {
+  if (!defaultStorage) {
+    try {
+      defaultStorage = globalThis.localStorage || createMemoryStorage();
+    } catch {
+      // localStorage access throws when storage is disabled
+      defaultStorage = createMemoryStorage();
+    }
+  }
+  return defaultStorage;
+};
+
+/**
+ * New York trading date (YYYY-MM-DD) for a Date or millisecond timestamp
+ */
+export const tradingDayOf = (date) =>
+  new Date(date).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+
+/**
+ * All stored snapshots for an underlying, keyed by trading date
+ */
+export const loadSnapshots = (symbol, storage = getDefaultStorage()) => {
+  try {
+    return JSON.parse(storage.getItem(storageKey(symbol))) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Store a snapshot under its trading date, replacing any earlier one from
+ * the same day so the last refresh of the session wins
+ */
+export const saveSnapshot = (snapshot, storage = getDefaultStorage()) => {
+  const snapshots = loadSnapshots(snapshot.symbol, storage);
+  snapshots[snapshot.date] = snapshot;
+
+  const days = Object.keys(snapshots).sort();
+  days.slice(0, Math.max(0, days.length - MAX_DAYS)).forEach(day => { delete snapshots[day]; });
+
+  try {
+    storage.setItem(storageKey(snapshot.symbol), JSON.stringify(snapshots));
+  } catch (error) {
+    console.log('⚠️ Snapshot not saved:', error.message);
+  }
+  return snapshot;
+};
+
+// Constant-maturity IVs keyed by calendar days ({ 7: 0.14, 30: 0.15, ... })
+const termPoints = (termStructure) => Object.fromEntries(
+  (termStructure?.constantMaturities || []).map(({ days, iv }) => [days, iv])
+);
+
+/**
+ * Compute today's snapshot from a real options chain
+ * @param {string} symbol - Underlying the chain belongs to
+ * @param {Array} options - Vendor chain; simulated contracts are refused
+ * @param {number|null} spy - Live spot price, null when only the fallback is known
+ * @param {number|null} skew - CBOE SKEW, null when unavailable
+ * @returns {Promise<Object|null>} Snapshot, or null when the inputs aren't real
+ */
+export const buildSnapshot = async (symbol, options, spy, skew, now = new Date()) => {
+  if (!options?.length || !spy || options.some(opt => opt.simulated)) return null;
+
+  const { dividendYield } = getSymbolConfig(symbol);
+  const dealerMetrics = calculateDealerMetrics(options, spy, { now, dividendYield });
+  const volMetrics = await calculateVolatilityMetrics(options, spy, null);
+  if (!dealerMetrics || !volMetrics) return null;
+  const termStructure = calculateTermStructure(options, spy, { now, dividendYield });
+
+  return {
+    symbol,
+    date: tradingDayOf(now),
+    recordedAt: now.toISOString(),
+    spy,
+    pcrVolume: volMetrics.pcrVolume,
+    pcrOI: volMetrics.pcrOI,
+    dealerModel: dealerMetrics.model,
+    gammaFlip: dealerMetrics.gammaFlipPoint,
+    totalGamma: dealerMetrics.totalGamma,
+    totalGEX: dealerMetrics.totalGEX,
+    isShortGamma: dealerMetrics.isShortGamma,
+    termStructure: termPoints(termStructure),
+    termShape: termStructure?.shape ?? null,
+    skew: skew ?? null,
+    contracts: options.length
+  };
+};
+
+/**
+ * Build and store today's snapshot; resolves to null when nothing was recorded
+ */
+export const recordSnapshot = async (symbol, options, spy, skew, storage = getDefaultStorage()) => {
+  const snapshot = await buildSnapshot(symbol, options, spy, skew);
+  return snapshot ? saveSnapshot(snapshot, storage) : null;
+};
+
+/**
+ * Chain-derived fields for a history bar, taken from its day's snapshot
+ *
+ * Days without a snapshot get nulls and `snapshotMissing: true` rather than
+ * estimates, so charts show a gap.
+ */
+export const snapshotFields = (snapshots, timestamp, spy) => {
+  const snapshot = snapshots[tradingDayOf(timestamp)];
+  if (!snapshot) {
+    return { pcr: null, gammaFlip: null, skew: null, gammaShort: null, snapshotMissing: true };
+  }
+
+  // A flip recorded under another dealer positioning model (snapshots from
+  // before models existed assumed dealers short everything) isn't comparable
+  const { pcrVolume, skew, dealerModel = 'shortAll' } = snapshot;
+  const gammaFlip = dealerModel === DEFAULT_DEALER_MODEL ? snapshot.gammaFlip : null;
+  return {
+    pcr: pcrVolume ?? null,
+    gammaFlip: gammaFlip ?? null,
+    skew: skew ?? null,
+    gammaShort: gammaFlip ? (spy > gammaFlip ? -1 : 1) : null,
+    snapshotMissing: false
+  };
+};
+
+/**
+ * Daily constant-maturity IVs from stored snapshots, oldest first
+ *
+ * `live` (a calculateTermStructure result) stands in for today's snapshot,
+ * which is only written once the refresh that loaded the chain finishes.
+ * @returns {Array} [{ date, shape, [days]: iv }] - days without a recorded
+ *   term structure are left out
+ */
+export const termStructureHistory = (snapshots, live = null, now = new Date()) => {
+  const days = { ...snapshots };
+  if (live) days[tradingDayOf(now)] = { termStructure: termPoints(live), termShape: live.shape };
+
+  return Object.keys(days)
+    .sort()
+    .filter(date => days[date].termStructure)
+    .map(date => ({ date, shape: days[date].termShape ?? null, ...days[date].termStructure }));
+};
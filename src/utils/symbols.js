@@ -0,0 +1,57 @@
+// src/utils/symbols.js
+// Underlyings the dashboard can run on, with the volatility index paired to each
+
+// `quote`/`history` are Yahoo-style tickers for /api/quotes and /api/historical,
+// `options` is the Tradier root. `skewIndex` is only set where CBOE SKEW
+// (an S&P 500 measure) actually describes the underlying. `lateClose` marks
+// options that trade until 4:15pm ET instead of 4:00pm. `dividendYield` is an
+// approximate trailing yield for Black-Scholes-Merton pricing.
+// `shortVolIndex`/`longVolIndex` are the 9-day and 3-month siblings of the
+// vol index where CBOE publishes them, for the term structure.
+export const SYMBOLS = {
+  SPY: { label: 'SPY', quote: 'SPY', options: 'SPY', volIndex: '^VIX', shortVolIndex: '^VIX9D', longVolIndex: '^VIX3M', skewIndex: '^SKEW', lateClose: true, dividendYield: 0.012 },
+  SPX: { label: 'SPX', quote: '^SPX', options: 'SPX', volIndex: '^VIX', shortVolIndex: '^VIX9D', longVolIndex: '^VIX3M', skewIndex: '^SKEW', lateClose: true, dividendYield: 0.013 },
+  QQQ: { label: 'QQQ', quote: 'QQQ', options: 'QQQ', volIndex: '^VXN', shortVolIndex: null, longVolIndex: null, skewIndex: null, lateClose: true, dividendYield: 0.006 },
+  IWM: { label: 'IWM', quote: 'IWM', options: 'IWM', volIndex: '^RVX', shortVolIndex: null, longVolIndex: null, skewIndex: null, lateClose: true, dividendYield: 0.012 },
+  AAPL: { label: 'AAPL', quote: 'AAPL', options: 'AAPL', volIndex: '^VXAPL', shortVolIndex: null, longVolIndex: null, skewIndex: null, lateClose: false, dividendYield: 0.005 },
+  AMZN: { label: 'AMZN', quote: 'AMZN', options: 'AMZN', volIndex: '^VXAZN', shortVolIndex: null, longVolIndex: null, skewIndex: null, lateClose: false, dividendYield: 0 }
+};
+
+export const DEFAULT_SYMBOL = 'SPY';
+
+// Underlyings without a dedicated index are measured against the market's
+export const DEFAULT_VOL_INDEX = '^VIX';
+
+const TICKER_PATTERN = /^\^?[A-Z][A-Z0-9.]{0,9}$/;
+
+/**
+ * Normalize user input to a ticker, or null if it can't be one
+ */
+export const normalizeSymbol = (input) => {
+  const symbol = String(input || '').trim().toUpperCase();
+  return TICKER_PATTERN.test(symbol) ? symbol : null;
+};
+
+/**
+ * Quote, history and options tickers plus paired indices for any symbol;
+ * symbols outside SYMBOLS are treated as single stocks paired with VIX
+ */
+export const getSymbolConfig = (symbol = DEFAULT_SYMBOL) => {
+  const key = normalizeSymbol(symbol) || DEFAULT_SYMBOL;
+  return SYMBOLS[key] || {
+    label: key,
+    quote: key,
+    options: key.replace(/^\^/, ''),
+    volIndex: DEFAULT_VOL_INDEX,
+    shortVolIndex: null,
+    longVolIndex: null,
+    skewIndex: null,
+    lateClose: false,
+    dividendYield: 0
+  };
+};
+
+/**
+ * Display name for a vol index ticker ('^VXN' -> 'VXN')
+ */
+export const indexLabel = (ticker) => (ticker ? ticker.replace(/^\^/, '') : null);
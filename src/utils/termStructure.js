@@ -0,0 +1,167 @@
+// src/utils/termStructure.js
+// Implied volatility term structure - ATM IV per expiration, constant-maturity
+// IVs, contango/backwardation, and the CBOE index curve (VIX9D/VIX/VIX3M)
+
+import { contractIV, timeToExpiry, DEFAULT_RATE } from './optionsCalculations';
+
+// Calendar days of the constant-maturity points
+export const CONSTANT_MATURITIES = [7, 30, 60, 90];
+
+// Calendar days each CBOE index measures
+export const INDEX_MATURITIES = { vix9d: 9, vix: 30, vix3m: 93 };
+
+// Front/back IV ratios this close to 1 count as flat
+const FLAT_BAND = 0.02;
+
+/**
+ * Term structure shape from a front/back IV ratio (VIX/VIX3M convention:
+ * above 1 is backwardation, the stressed state)
+ * @returns {'contango'|'backwardation'|'flat'|null}
+ */
+export const classifyTermShape = (ratio) => {
+  if (ratio === null || ratio === undefined || !isFinite(ratio)) return null;
+  if (ratio > 1 + FLAT_BAND) return 'backwardation';
+  if (ratio < 1 - FLAT_BAND) return 'contango';
+  return 'flat';
+};
+
+/**
+ * At-the-money IV of one expiration: call/put IVs averaged per strike, then
+ * interpolated linearly in strike to the forward
+ * @param {Array} contracts - Contracts of a single expiration
+ * @param {number} forward - Forward price for that expiration
+ * @returns {number|null} Null when no strike has an IV
+ */
+export const atmImpliedVol = (contracts, forward) => {
+  const byStrike = {};
+  contracts.forEach(c => {
+    const iv = contractIV(c);
+    if (iv === null) return;
+    (byStrike[c.strike] = byStrike[c.strike] || []).push(iv);
+  });
+
+  const strikes = Object.keys(byStrike).map(Number).sort((a, b) => a - b);
+  if (strikes.length === 0) return null;
+  const ivAt = (strike) => byStrike[strike].reduce((sum, iv) => sum + iv, 0) / byStrike[strike].length;
+
+  const upperIndex = strikes.findIndex(k => k >= forward);
+  if (upperIndex === 0) return ivAt(strikes[0]);
+  if (upperIndex === -1) return ivAt(strikes[strikes.length - 1]);
+
+  const lower = strikes[upperIndex - 1];
+  const upper = strikes[upperIndex];
+  const weight = (forward - lower) / (upper - lower);
+  return ivAt(lower) + weight * (ivAt(upper) - ivAt(lower));
+};
+
+// IV at `days` from points sorted by maturity, linear in total variance
+// (sigma^2 * T); null outside the range the points span
+const interpolateIV = (points, days) => {
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (days < first.days || days > last.days) return null;
+
+  const upperIndex = points.findIndex(p => p.days >= days);
+  const upper = points[upperIndex];
+  if (upper.days === days) return upper.atmIV;
+
+  const lower = points[upperIndex - 1];
+  const variance = (p) => p.atmIV * p.atmIV * p.days;
+  const weight = (days - lower.days) / (upper.days - lower.days);
+  const total = variance(lower) + weight * (variance(upper) - variance(lower));
+  return total > 0 ? Math.sqrt(total / days) : null;
+};
+
+/**
+ * ATM implied vol term structure of a chain
+ *
+ * Expired contracts (see timeToExpiry) are left out. Constant maturities
+ * outside the loaded expirations come back with a null IV rather than an
+ * extrapolated one.
+ * @param {Array} options - Normalized option contracts
+ * @param {number} spot - Spot price
+ * @param {Object} [opts]
+ * @param {Date} [opts.now] - Valuation time
+ * @param {number[]} [opts.maturities=CONSTANT_MATURITIES] - Calendar days
+ * @param {number} [opts.rate=DEFAULT_RATE] - Risk-free rate
+ * @param {number} [opts.dividendYield=0] - Underlying's dividend yield, see symbols.js
+ * @returns {Object|null} {
+ *   expirations: [{ expiration, daysToExp, days, atmIV }] in date order,
+ *     `days` being the fractional calendar days left,
+ *   constantMaturities: [{ days, iv }],
+ *   front/back: the { days, iv } ends compared, null when only one is known,
+ *   ratio: front / back IV, shape: see classifyTermShape
+ * }
+ */
+export const calculateTermStructure = (options, spot, {
+  now = new Date(),
+  maturities = CONSTANT_MATURITIES,
+  rate = DEFAULT_RATE,
+  dividendYield = 0
+} = {}) => {
+  if (!options?.length || !spot) return null;
+
+  const groups = {};
+  options.forEach(opt => {
+    if (timeToExpiry(opt, now) <= 0) return;
+    (groups[opt.expiration] = groups[opt.expiration] || []).push(opt);
+  });
+
+  const expirations = Object.keys(groups).sort().map(expiration => {
+    const contracts = groups[expiration];
+    const T = timeToExpiry(contracts[0], now);
+    const forward = spot * Math.exp((rate - dividendYield) * T);
+    return {
+      expiration,
+      daysToExp: contracts[0].daysToExp,
+      days: T * 365,
+      atmIV: atmImpliedVol(contracts, forward)
+    };
+  }).filter(e => e.atmIV !== null);
+  if (expirations.length === 0) return null;
+
+  const constantMaturities = maturities.map(days => ({ days, iv: interpolateIV(expirations, days) }));
+
+  // Shortest and longest constant maturities, or the expirations themselves
+  // when the chain doesn't span two of them
+  const available = constantMaturities.filter(p => p.iv !== null);
+  const ends = available.length >= 2
+    ? available
+    : expirations.map(e => ({ days: e.days, iv: e.atmIV }));
+  const front = ends[0];
+  const back = ends[ends.length - 1];
+  const ratio = ends.length >= 2 ? front.iv / back.iv : null;
+
+  return {
+    expirations,
+    constantMaturities,
+    front: ends.length >= 2 ? front : null,
+    back: ends.length >= 2 ? back : null,
+    ratio,
+    shape: classifyTermShape(ratio)
+  };
+};
+
+/**
+ * Term structure of the CBOE volatility indices
+ * @param {Object} levels - { vix9d, vix, vix3m } index values in vol points,
+ *   null where unavailable
+ * @returns {Object|null} {
+ *   points: [{ key, days, iv }] with iv as a decimal like contract IVs,
+ *   ratio: VIX / VIX3M, shortRatio: VIX9D / VIX, shape: from `ratio`
+ * } - null when fewer than two indices are known
+ */
+export const indexTermStructure = (levels = {}) => {
+  const points = Object.entries(INDEX_MATURITIES)
+    .filter(([key]) => levels[key] > 0)
+    .map(([key, days]) => ({ key, days, iv: levels[key] / 100 }));
+  if (points.length < 2) return null;
+
+  const ratio = levels.vix > 0 && levels.vix3m > 0 ? levels.vix / levels.vix3m : null;
+  return {
+    points,
+    ratio,
+    shortRatio: levels.vix9d > 0 && levels.vix > 0 ? levels.vix9d / levels.vix : null,
+    shape: classifyTermShape(ratio)
+  };
+};
@@ -0,0 +1,346 @@
+// src/utils/volSurface.js
+// Implied volatility surface - a raw SVI smile fitted per expiration,
+// interpolated across maturities and checked for static arbitrage
+
+import { contractIV, timeToExpiry, DEFAULT_RATE } from './optionsCalculations';
+
+// Fewest quotes a smile is fitted to; SVI has five parameters
+const MIN_POINTS = 5;
+// Points in the butterfly/calendar checks, across the quoted log-moneyness
+// range padded by half its width on either side
+const CHECK_STEPS = 101;
+// Total variance dips smaller than this are rounding, not arbitrage
+const ARBITRAGE_TOLERANCE = 1e-6;
+
+/**
+ * Raw SVI total implied variance w(k) = a + b(rho(k - m) + sqrt((k - m)^2 + sigma^2))
+ * @param {Object} params - { a, b, rho, m, sigma }
+ * @param {number} k - Log forward moneyness ln(K / F)
+ */
+export const sviTotalVariance = ({ a, b, rho, m, sigma }, k) =>
+  a + b * (rho * (k - m) + Math.sqrt((k - m) * (k - m) + sigma * sigma));
+
+/**
+ * Implied vol of an SVI slice at log moneyness `k`, null where the fitted
+ * variance isn't positive
+ * @param {number} T - Time to expiration (years)
+ */
+export const sviImpliedVol = (params, k, T) => {
+  const w = sviTotalVariance(params, k);
+  return w > 0 && T > 0 ? Math.sqrt(w / T) : null;
+};
+
+// First and second derivatives of w(k)
+const sviDerivatives = ({ b, rho, m, sigma }, k) => {
+  const x = k - m;
+  const root = Math.sqrt(x * x + sigma * sigma);
+  return { dw: b * (rho + x / root), d2w: b * sigma * sigma / (root * root * root) };
+};
+
+// Solve a 3x3 linear system by Gaussian elimination; null when singular
+const solve3 = (A, y) => {
+  const M = A.map((row, i) => [...row, y[i]]);
+  for (let col = 0; col < 3; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 3; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-14) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let row = col + 1; row < 3; row++) {
+      const f = M[row][col] / M[col][col];
+      for (let j = col; j < 4; j++) M[row][j] -= f * M[col][j];
+    }
+  }
+  const x = [0, 0, 0];
+  for (let row = 2; row >= 0; row--) {
+    let sum = M[row][3];
+    for (let j = row + 1; j < 3; j++) sum -= M[row][j] * x[j];
+    x[row] = sum / M[row][row];
+  }
+  return x;
+};
+
+/**
+ * Inner step of Zeliade's quasi-explicit SVI calibration: for fixed m and
+ * sigma, w = a + d*y + c*sqrt(y^2 + 1) with y = (k - m) / sigma is linear in
+ * (a, c, d). The unconstrained solution is projected onto the no-arbitrage
+ * box 0 <= c <= 4sigma, |d| <= min(c, 4sigma - c), 0 <= a <= max w.
+ */
+const fitLinear = (points, m, sigma) => {
+  const rows = points.map(p => {
+    const y = (p.k - m) / sigma;
+    return { y, z: Math.sqrt(y * y + 1), w: p.w };
+  });
+  const maxW = Math.max(...rows.map(r => r.w));
+
+  const A = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const rhs = [0, 0, 0];
+  rows.forEach(({ y, z, w }) => {
+    const basis = [1, y, z];
+    for (let i = 0; i < 3; i++) {
+      rhs[i] += basis[i] * w;
+      for (let j = 0; j < 3; j++) A[i][j] += basis[i] * basis[j];
+    }
+  });
+
+  let [a, d, c] = solve3(A, rhs) || [rows.reduce((s, r) => s + r.w, 0) / rows.length, 0, 0];
+  c = Math.max(0, Math.min(4 * sigma, c));
+  const dLimit = Math.min(c, 4 * sigma - c);
+  d = Math.max(-dLimit, Math.min(dLimit, d));
+  // Best level for the clamped slope and curvature
+  a = rows.reduce((s, r) => s + r.w - d * r.y - c * r.z, 0) / rows.length;
+  a = Math.max(0, Math.min(maxW, a));
+
+  const sse = rows.reduce((s, r) => {
+    const residual = a + d * r.y + c * r.z - r.w;
+    return s + residual * residual;
+  }, 0);
+  return { a, c, d, sse };
+};
+
+// Nelder-Mead minimization of f over a 2D point
+const nelderMead = (f, start, step, { maxIter = 200, tol = 1e-12 } = {}) => {
+  let simplex = [start, [start[0] + step[0], start[1]], [start[0], start[1] + step[1]]]
+    .map(x => ({ x, f: f(x) }));
+  const combine = (p, q, t) => [p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1])];
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    simplex.sort((p, q) => p.f - q.f);
+    const [best, mid, worst] = simplex;
+    if (Math.abs(worst.f - best.f) <= tol * (Math.abs(best.f) + tol)) break;
+
+    const centroid = combine(best.x, mid.x, 0.5);
+    const reflected = combine(centroid, worst.x, -1);
+    const fr = f(reflected);
+
+    if (fr < best.f) {
+      const expanded = combine(centroid, worst.x, -2);
+      const fe = f(expanded);
+      simplex[2] = fe < fr ? { x: expanded, f: fe } : { x: reflected, f: fr };
+    } else if (fr < mid.f) {
+      simplex[2] = { x: reflected, f: fr };
+    } else {
+      const contracted = combine(centroid, worst.x, 0.5);
+      const fc = f(contracted);
+      if (fc < worst.f) {
+        simplex[2] = { x: contracted, f: fc };
+      } else {
+        // Shrink towards the best point
+        simplex = simplex.map((p, i) => {
+          if (i === 0) return p;
+          const x = combine(best.x, p.x, 0.5);
+          return { x, f: f(x) };
+        });
+      }
+    }
+  }
+  simplex.sort((p, q) => p.f - q.f);
+  return simplex[0].x;
+};
+
+/**
+ * Fit raw SVI to one expiration's quotes
+ * @param {Array} points - [{ k, w }] log moneyness and total variance
+ * @returns {Object|null} { params: { a, b, rho, m, sigma }, rmse } with rmse
+ *   in total variance, null with fewer than MIN_POINTS quotes
+ */
+export const fitSvi = (points) => {
+  if (points.length < MIN_POINTS) return null;
+
+  // Outer search over m and log(sigma); a few sigma starts guard against
+  // the flat regions of the objective
+  const objective = ([m, logSigma]) => fitLinear(points, m, Math.exp(logSigma)).sse;
+  const lowest = points.reduce((min, p) => (p.w < min.w ? p : min), points[0]);
+  const [m, logSigma] = [0.05, 0.2, 0.5]
+    .map(sigma => nelderMead(objective, [lowest.k, Math.log(sigma)], [0.05, 0.5]))
+    .reduce((best, x) => (objective(x) < objective(best) ? x : best));
+
+  const sigma = Math.exp(logSigma);
+  const { a, c, d, sse } = fitLinear(points, m, sigma);
+  return {
+    params: { a, b: c / sigma, rho: c > 0 ? d / c : 0, m, sigma },
+    rmse: Math.sqrt(sse / points.length)
+  };
+};
+
+// Evenly spaced log moneyness across the quoted range, padded on both sides
+const checkGrid = (kMin, kMax) => {
+  const pad = Math.max(0.05, (kMax - kMin) * 0.5);
+  const from = kMin - pad;
+  const step = (kMax - kMin + 2 * pad) / (CHECK_STEPS - 1);
+  return Array.from({ length: CHECK_STEPS }, (_, i) => from + i * step);
+};
+
+/**
+ * Butterfly (density) arbitrage check of an SVI slice: Gatheral's
+ * g(k) = (1 - k w'/2w)^2 - w'^2/4 (1/w + 1/4) + w''/2 must stay non-negative
+ * @param {number[]} grid - Log moneyness to check
+ * @returns {{ arbitrageFree, minDensity, violations }} violations lists the
+ *   log moneyness where g < 0 or w <= 0
+ */
+export const checkButterflyArbitrage = (params, grid) => {
+  let minDensity = Infinity;
+  const violations = [];
+  grid.forEach(k => {
+    const w = sviTotalVariance(params, k);
+    const { dw, d2w } = sviDerivatives(params, k);
+    const g = w > 0
+      ? (1 - k * dw / (2 * w)) ** 2 - (dw * dw / 4) * (1 / w + 0.25) + d2w / 2
+      : -Infinity;
+    minDensity = Math.min(minDensity, g);
+    if (g < -ARBITRAGE_TOLERANCE) violations.push(k);
+  });
+  return { arbitrageFree: violations.length === 0, minDensity, violations };
+};
+
+/**
+ * Calendar arbitrage check between consecutive slices: total variance at a
+ * fixed log moneyness must not fall as maturity grows
+ * @returns {Array} [{ from, to, k, gap }] one entry per offending pair, at
+ *   its worst point (`gap` = earlier w minus later w)
+ */
+export const checkCalendarArbitrage = (slices, grid) => {
+  const violations = [];
+  for (let i = 1; i < slices.length; i++) {
+    const earlier = slices[i - 1];
+    const later = slices[i];
+    let worst = null;
+    grid.forEach(k => {
+      const gap = sviTotalVariance(earlier.params, k) - sviTotalVariance(later.params, k);
+      if (gap > ARBITRAGE_TOLERANCE && (!worst || gap > worst.gap)) worst = { k, gap };
+    });
+    if (worst) violations.push({ from: earlier.expiration, to: later.expiration, ...worst });
+  }
+  return violations;
+};
+
+// Out-of-the-money quotes of one expiration as { strike, k, iv, w, type };
+// OTM IVs come from the liquid side of each strike
+const marketPoints = (contracts, forward, T) => contracts
+  .filter(c => (c.type === 'CALL' ? c.strike >= forward : c.strike < forward))
+  .map(c => {
+    const iv = contractIV(c);
+    if (iv === null) return null;
+    const k = Math.log(c.strike / forward);
+    return { strike: c.strike, k, iv, w: iv * iv * T, type: c.type };
+  })
+  .filter(Boolean)
+  .sort((p, q) => p.k - q.k);
+
+/**
+ * Fit the implied volatility surface of a chain
+ *
+ * Each expiration's out-of-the-money quotes are fitted with raw SVI in log
+ * forward moneyness; expirations with fewer than MIN_POINTS usable quotes
+ * are listed in `skipped`. Expired contracts (see timeToExpiry) are left out.
+ * @param {Array} options - Normalized option contracts
+ * @param {number} spot - Spot price
+ * @param {Object} [opts]
+ * @param {Date} [opts.now] - Valuation time
+ * @param {number} [opts.rate=DEFAULT_RATE] - Risk-free rate
+ * @param {number} [opts.dividendYield=0] - Underlying's dividend yield, see symbols.js
+ * @returns {Object|null} {
+ *   slices: [{ expiration, daysToExp, T, forward, params, rmse, ivRmse,
+ *     points, butterfly }] in maturity order - ivRmse in vol, points the
+ *     market quotes fitted,
+ *   calendarViolations: see checkCalendarArbitrage,
+ *   arbitrageFree, skipped: [expiration]
+ * } - null when no expiration could be fitted
+ */
+export const calculateVolSurface = (options, spot, {
+  now = new Date(),
+  rate = DEFAULT_RATE,
+  dividendYield = 0
+} = {}) => {
+  if (!options?.length || !spot) return null;
+
+  const groups = {};
+  options.forEach(opt => {
+    if (timeToExpiry(opt, now) <= 0) return;
+    (groups[opt.expiration] = groups[opt.expiration] || []).push(opt);
+  });
+
+  const slices = [];
+  const skipped = [];
+  Object.keys(groups).sort().forEach(expiration => {
+    const contracts = groups[expiration];
+    const T = timeToExpiry(contracts[0], now);
+    const forward = spot * Math.exp((rate - dividendYield) * T);
+    const points = marketPoints(contracts, forward, T);
+    const fit = fitSvi(points);
+    if (!fit) {
+      skipped.push(expiration);
+      return;
+    }
+
+    const grid = checkGrid(points[0].k, points[points.length - 1].k);
+    const ivErrors = points.map(p => (sviImpliedVol(fit.params, p.k, T) ?? 0) - p.iv);
+    slices.push({
+      expiration,
+      daysToExp: contracts[0].daysToExp,
+      T,
+      forward,
+      params: fit.params,
+      rmse: fit.rmse,
+      ivRmse: Math.sqrt(ivErrors.reduce((s, e) => s + e * e, 0) / ivErrors.length),
+      points,
+      butterfly: checkButterflyArbitrage(fit.params, grid)
+    });
+  });
+  if (slices.length === 0) return null;
+
+  const kMin = Math.min(...slices.map(s => s.points[0].k));
+  const kMax = Math.max(...slices.map(s => s.points[s.points.length - 1].k));
+  const calendarViolations = checkCalendarArbitrage(slices, checkGrid(kMin, kMax));
+
+  return {
+    slices,
+    calendarViolations,
+    arbitrageFree: calendarViolations.length === 0 && slices.every(s => s.butterfly.arbitrageFree),
+    skipped
+  };
+};
+
+/**
+ * Implied vol anywhere on a fitted surface
+ *
+ * Total variance is interpolated linearly in time between the slices
+ * around `days` at the same log moneyness, and scaled down from the first
+ * slice before it. Past the last slice the surface isn't extrapolated.
+ * @param {number} k - Log forward moneyness
+ * @param {number} days - Calendar days to expiration
+ * @returns {number|null}
+ */
+export const surfaceImpliedVol = (surface, k, days) => {
+  const { slices } = surface;
+  const T = days / 365;
+  const last = slices[slices.length - 1];
+  if (!(T > 0) || T > last.T) return null;
+
+  const upperIndex = slices.findIndex(s => s.T >= T);
+  const upper = slices[upperIndex];
+  const wUpper = sviTotalVariance(upper.params, k);
+  const lower = upperIndex > 0 ? slices[upperIndex - 1] : null;
+  const wLower = lower ? sviTotalVariance(lower.params, k) : 0;
+  const tLower = lower ? lower.T : 0;
+
+  const w = wLower + (T - tLower) / (upper.T - tLower) * (wUpper - wLower);
+  return w > 0 ? Math.sqrt(w / T) : null;
+};
+
+/**
+ * Surface sampled on a moneyness x maturity grid for a heatmap
+ * @param {Object} [opts]
+ * @param {number[]} [opts.days] - Calendar days (columns)
+ * @param {number[]} [opts.moneyness] - Strike / forward - 1 (rows)
+ * @returns {Array} [{ moneyness, cells: [{ days, iv }] }] with iv null
+ *   outside the fitted maturities
+ */
+export const surfaceGrid = (surface, {
+  days = [1, 7, 14, 30, 45, 60, 90],
+  moneyness = [-0.1, -0.075, -0.05, -0.025, 0, 0.025, 0.05, 0.075, 0.1]
+} = {}) => moneyness.map(mny => ({
+  moneyness: mny,
+  cells: days.map(d => ({ days: d, iv: surfaceImpliedVol(surface, Math.log(1 + mny), d) }))
+}));
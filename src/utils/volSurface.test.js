@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  sviTotalVariance,
+  fitSvi,
+  checkButterflyArbitrage,
+  checkCalendarArbitrage
+} from './volSurface';
+
+const grid = (from, to, steps) => Array.from({ length: steps + 1 }, (_, i) => from + (to - from) * i / steps);
+
+const slicePoints = (params, ks) => ks.map(k => ({ k, w: sviTotalVariance(params, k) }));
+
+// A typical equity smile: downside skew, minimum just above the money
+const EQUITY_SMILE = { a: 0.02, b: 0.4, rho: -0.4, m: 0.05, sigma: 0.15 };
+
+// Axel Vogt's slice from Gatheral & Jacquier (2014): positive total variance
+// everywhere but a negative density around k = 1
+const VOGT_SLICE = { a: -0.041, b: 0.1331, rho: 0.306, m: 0.3586, sigma: 0.4153 };
+
+describe('fitSvi', () => {
+  it('recovers the parameters of an exact raw SVI slice', () => {
+    const fit = fitSvi(slicePoints(EQUITY_SMILE, grid(-0.4, 0.3, 14)));
+    expect(fit.rmse).toBeLessThan(1e-6);
+    Object.entries(EQUITY_SMILE).forEach(([key, value]) => {
+      expect(Math.abs(fit.params[key] - value)).toBeLessThan(1e-3);
+    });
+  });
+
+  it('reproduces a shifted, steeper slice', () => {
+    const params = { a: 0.005, b: 0.25, rho: -0.7, m: -0.05, sigma: 0.3 };
+    const ks = grid(-0.6, 0.4, 20);
+    const fit = fitSvi(slicePoints(params, ks));
+    ks.forEach(k => {
+      expect(Math.abs(sviTotalVariance(fit.params, k) - sviTotalVariance(params, k))).toBeLessThan(1e-5);
+    });
+  });
+
+  it('needs at least five quotes', () => {
+    expect(fitSvi(slicePoints(EQUITY_SMILE, [-0.1, 0, 0.1, 0.2]))).toBeNull();
+  });
+});
+
+describe('checkButterflyArbitrage', () => {
+  const ks = grid(-1.5, 1.5, 300);
+
+  it('passes a well-behaved smile', () => {
+    const result = checkButterflyArbitrage(EQUITY_SMILE, ks);
+    expect(result.arbitrageFree).toBe(true);
+    expect(result.violations).toEqual([]);
+    expect(result.minDensity).toBeGreaterThan(0);
+  });
+
+  it('flags a slice with g(k) < 0', () => {
+    const result = checkButterflyArbitrage(VOGT_SLICE, ks);
+    expect(result.arbitrageFree).toBe(false);
+    expect(result.minDensity).toBeLessThan(0);
+    // Total variance stays positive, so the flags come from the density alone
+    ks.forEach(k => expect(sviTotalVariance(VOGT_SLICE, k)).toBeGreaterThan(0));
+    expect(Math.min(...result.violations)).toBeGreaterThan(0.5);
+    expect(Math.max(...result.violations)).toBeLessThan(1.5);
+  });
+
+  it('flags non-positive total variance', () => {
+    const params = { ...EQUITY_SMILE, a: -0.07 };
+    const negative = ks.filter(k => sviTotalVariance(params, k) <= 0);
+    const result = checkButterflyArbitrage(params, ks);
+    expect(negative.length).toBeGreaterThan(0);
+    expect(result.arbitrageFree).toBe(false);
+    expect(result.minDensity).toBe(-Infinity);
+    negative.forEach(k => expect(result.violations).toContain(k));
+  });
+});
+
+describe('checkCalendarArbitrage', () => {
+  const ks = grid(-0.5, 0.5, 100);
+  const front = { expiration: '2026-10-23', params: { a: 0.01, b: 0.3, rho: 0, m: 0, sigma: 0.1 } };
+
+  it('passes slices whose total variance grows with maturity', () => {
+    const back = { expiration: '2026-11-20', params: { ...front.params, a: 0.02 } };
+    expect(checkCalendarArbitrage([front, back], ks)).toEqual([]);
+  });
+
+  it('flags a pair whose total variance crosses, at the worst point', () => {
+    // Higher at the money but flatter: the front month's wings end up above it
+    const back = { expiration: '2026-11-20', params: { a: 0.035, b: 0.1, rho: 0, m: 0, sigma: 0.1 } };
+    const violations = checkCalendarArbitrage([front, back], ks);
+
+    expect(violations).toHaveLength(1);
+    const [{ from, to, k, gap }] = violations;
+    expect(from).toBe(front.expiration);
+    expect(to).toBe(back.expiration);
+    expect(Math.abs(k)).toBeCloseTo(0.5, 10);
+    expect(gap).toBeCloseTo(sviTotalVariance(front.params, k) - sviTotalVariance(back.params, k), 12);
+    // No crossing at the money
+    expect(sviTotalVariance(back.params, 0)).toBeGreaterThan(sviTotalVariance(front.params, 0));
+  });
+
+  it('reports each offending consecutive pair', () => {
+    const middle = { expiration: '2026-11-20', params: { a: 0.035, b: 0.1, rho: 0, m: 0, sigma: 0.1 } };
+    const back = { expiration: '2026-12-18', params: { a: 0.02, b: 0.1, rho: 0, m: 0, sigma: 0.1 } };
+    expect(checkCalendarArbitrage([front, middle, back], ks).map(v => v.to)).toEqual(['2026-11-20', '2026-12-18']);
+  });
+});